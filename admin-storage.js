@@ -1,10 +1,21 @@
 import express from 'express';
 import multer from 'multer';
-import { O2SwitchStorage } from './sftp.js';
+import { FileStorage } from './storage.js';
+import { sendRangedFile } from './http-range.js';
+import { createStreamingStorage, handleUploadErrors, UploadError } from './streaming-upload.js';
+import { createTusRouter } from './tus-upload.js';
+import { PathError, normalizeAdminPath, storageErrorStatus } from './path-jail.js';
+import { moveShareLinks } from './file-sharing.js';
+import { listArchiveEntries, sendZipArchive, archiveNameFor } from './zip-archive.js';
+import { SearchError } from './storage-index.js';
+import { SNIFF_BYTES, mimeFromExtension } from './content-type.js';
+import { checkAudioSpec, getAudioSpecRules } from './audio-analysis.js';
+import { sendWaveform, WaveformError } from './waveform.js';
+import { reconcileUploads, getLastUploadReport } from './upload-gc.js';
 import { createClient } from '@supabase/supabase-js';
 const router = express.Router();
-// Réutiliser le même client SFTP que pour les uploads users (évite les connexions multiples)
-const storage = O2SwitchStorage.getInstance();
+// Réutiliser le même stockage que pour les uploads users (driver choisi par STORAGE_DRIVER)
+const storage = FileStorage.getInstance();
 // Helper function to get Supabase client for user authentication (uses anon key)
 function getSupabaseClient() {
     if (!process.env.VITE_SUPABASE_URL || !process.env.VITE_SUPABASE_ANON_KEY) {
@@ -24,13 +35,6 @@ function getSupabaseAdminClient() {
         }
     });
 }
-// Multer configuration for file uploads - NO LIMIT for admin
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: {
-        fileSize: 10 * 1024 * 1024 * 1024, // 10 GB max (essentially unlimited for most use cases)
-    },
-});
 // Helper function to verify admin user
 async function verifyAdminUser(authHeader) {
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -63,7 +67,7 @@ router.post('/list', async (req, res) => {
         const { path = '/' } = req.body;
         // Connecter et lister les fichiers (le singleton réutilise la connexion si déjà établie)
         await storage.connect();
-        const files = await storage.listAdminFiles(path);
+        const files = await storage.listAdminFiles(path, { sniff: true });
         res.json({
             success: true,
             files,
@@ -72,37 +76,73 @@ router.post('/list', async (req, res) => {
     }
     catch (error) {
         console.error('Admin storage list error:', error);
-        res.status(500).json({
+        res.status(storageErrorStatus(error)).json({
             error: error instanceof Error ? error.message : 'Failed to list files',
         });
     }
 });
-// Upload a file
-router.post('/upload', upload.single('file'), async (req, res) => {
+// Verify admin before multer starts streaming the body to storage
+async function requireAdmin(req, res, next) {
     try {
         const user = await verifyAdminUser(req.headers.authorization);
         if (!user) {
             return res.status(401).json({ error: 'Unauthorized' });
         }
+        req.user = user;
+        next();
+    }
+    catch (error) {
+        next(error);
+    }
+}
+// Multer configuration for file uploads - NO LIMIT for admin.
+// Files are piped to storage as they arrive; the `path` field must come before
+// the file in the form (or be passed as ?path=).
+const upload = multer({
+    storage: createStreamingStorage({
+        prepare(req, file) {
+            const path = req.body.path || req.query.path || '/';
+            const remotePath = normalizeAdminPath(`${path}/${file.originalname}`);
+            console.log('⬆️  Admin uploading file:', file.originalname);
+            return { filename: remotePath, type: 'admin', uploadedBy: { id: req.user.id, email: req.user.email } };
+        },
+    }),
+    limits: {
+        fileSize: 10 * 1024 * 1024 * 1024, // 10 GB max (essentially unlimited for most use cases)
+    },
+});
+// Upload a file
+router.post('/upload', requireAdmin, handleUploadErrors(upload.single('file')), async (req, res) => {
+    try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file provided' });
         }
-        const { path = '/' } = req.body;
-        const remotePath = `${path}/${req.file.originalname}`.replace(/\/+/g, '/');
-        console.log('⬆️  Admin uploading file:', req.file.originalname, `(${(req.file.size / 1024 / 1024).toFixed(2)} MB)`);
-        const file = await storage.uploadFile(req.file.buffer, remotePath, 'admin');
+        console.log('✅ Admin upload complete:', req.file.originalname, `(${(req.file.size / 1024 / 1024).toFixed(2)} MB)`);
         res.json({
             success: true,
-            file,
+            file: req.file.url,
         });
     }
     catch (error) {
         console.error('Admin storage upload error:', error);
-        res.status(500).json({
+        res.status(storageErrorStatus(error)).json({
             error: error instanceof Error ? error.message : 'Failed to upload file',
         });
     }
 });
+// Resumable (tus) uploads. Upload-Metadata must carry `filename` and may carry `path`.
+router.use('/uploads', createTusRouter({
+    scope: 'admin',
+    authenticate: (req) => verifyAdminUser(req.headers.authorization),
+    prepare(req, user, metadata) {
+        if (!metadata.filename) {
+            throw new UploadError('Upload-Metadata must include a filename');
+        }
+        const remotePath = normalizeAdminPath(`${metadata.path || '/'}/${metadata.filename}`);
+        return { filename: remotePath, type: 'admin', uploadedBy: { id: user.id, email: user.email } };
+    },
+    verify() { },
+}));
 // Stream a file (for video/audio playback)
 router.get('/stream', async (req, res) => {
     try {
@@ -123,42 +163,26 @@ router.get('/stream', async (req, res) => {
             console.error('❌ Invalid path:', { path });
             return res.status(400).json({ error: 'Path is required' });
         }
-        console.log('⏳ Starting stream from SFTP...');
-        // Download the file (will be optimized later for true streaming)
-        const data = await storage.downloadAdminFile(path);
-        console.log('✅ Stream ready, size:', data.length, 'bytes');
-        // Detect mime type from extension
-        const filename = path.split('/').pop() || 'file';
-        const ext = filename.toLowerCase().split('.').pop() || '';
-        let mimeType = 'application/octet-stream';
-        if (['mp3', 'm4a', 'aac'].includes(ext))
-            mimeType = 'audio/mpeg';
-        else if (['wav'].includes(ext))
-            mimeType = 'audio/wav';
-        else if (['ogg'].includes(ext))
-            mimeType = 'audio/ogg';
-        else if (['mp4'].includes(ext))
-            mimeType = 'video/mp4';
-        else if (['webm'].includes(ext))
-            mimeType = 'video/webm';
-        else if (['png'].includes(ext))
-            mimeType = 'image/png';
-        else if (['jpg', 'jpeg'].includes(ext))
-            mimeType = 'image/jpeg';
-        else if (['gif'].includes(ext))
-            mimeType = 'image/gif';
-        else if (['webp'].includes(ext))
-            mimeType = 'image/webp';
-        // Set headers for streaming
-        res.setHeader('Content-Type', mimeType);
-        res.setHeader('Content-Length', data.length);
-        res.setHeader('Accept-Ranges', 'bytes');
-        res.setHeader('Cache-Control', 'public, max-age=3600');
-        res.send(data);
+        await storage.connect();
+        const stat = await storage.statAdminFile(path);
+        if (stat.isDirectory) {
+            return res.status(400).json({ error: 'Cannot stream a directory' });
+        }
+        // Extension + magic bytes, cached until the file changes
+        const { mime: mimeType } = await storage.detectAdminContentType(path, stat);
+        console.log('⏳ Streaming from storage:', { size: stat.size, mimeType, range: req.headers.range });
+        // Partial content is read straight from storage (206 + Content-Range)
+        sendRangedFile(req, res, {
+            stat,
+            contentType: mimeType,
+            // Only for signed-in admins: never kept by shared caches
+            cacheControl: 'private, max-age=3600',
+            openStream: (range) => storage.createAdminReadStream(path, range),
+        });
     }
     catch (error) {
         console.error('Admin storage stream error:', error);
-        res.status(500).json({
+        res.status(storageErrorStatus(error)).json({
             error: error instanceof Error ? error.message : 'Failed to stream file',
         });
     }
@@ -176,24 +200,127 @@ router.post('/download', async (req, res) => {
             console.error('❌ Invalid path:', { path, type: typeof path });
             return res.status(400).json({ error: 'Path is required' });
         }
-        console.log('⏳ Starting download from SFTP...');
+        console.log('⏳ Starting download from storage...');
+        await storage.connect();
+        const stat = await storage.statAdminFile(path);
         const data = await storage.downloadAdminFile(path);
         console.log('✅ Download complete, size:', data.length, 'bytes');
+        const { mime } = await storage.detectAdminContentType(path, stat, data.subarray(0, SNIFF_BYTES));
         // Set appropriate headers
         const filename = path.split('/').pop() || 'download';
         res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(filename)}"`);
-        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Content-Type', mime);
         res.setHeader('Content-Length', data.length);
         res.send(data);
     }
     catch (error) {
         console.error('Admin storage download error:', error);
-        res.status(500).json({
+        res.status(storageErrorStatus(error)).json({
             error: error instanceof Error ? error.message : 'Failed to download file',
         });
     }
 });
-// Delete a file or directory
+// Download a folder as a ZIP, streamed while it is built.
+// GET so the browser's download manager can handle multi-GB archives; like
+// /stream it accepts ?token=. Optional ?include= / ?exclude= globs (repeatable).
+router.get('/archive', async (req, res) => {
+    try {
+        const token = req.query.token || req.headers.authorization?.substring(7);
+        if (!token) {
+            return res.status(401).json({ error: 'Unauthorized - No token' });
+        }
+        const user = await verifyAdminUser(`Bearer ${token}`);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized - Invalid token' });
+        }
+        const path = normalizeAdminPath(req.query.path || '/');
+        await storage.connect();
+        const stat = await storage.statAdminFile(path);
+        if (!stat.isDirectory) {
+            return res.status(400).json({ error: 'Path is not a folder' });
+        }
+        const entries = await listArchiveEntries(storage, path, {
+            include: req.query.include,
+            exclude: req.query.exclude,
+        });
+        if (entries.length === 0) {
+            return res.status(404).json({ error: 'No files to archive' });
+        }
+        console.log('🗜️ Archive request:', { path, files: entries.length });
+        await sendZipArchive(res, { storage, entries, archiveName: archiveNameFor(path) });
+    }
+    catch (error) {
+        console.error('Admin storage archive error:', error);
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.status(storageErrorStatus(error)).json({
+            error: error instanceof Error ? error.message : 'Failed to create archive',
+        });
+    }
+});
+// Technical analysis of a WAV/AIFF file: format, duration, peak/RMS, clipping.
+// `type` picks the AUDIO_SPEC_RULES entry to check it against (default rules otherwise).
+router.post('/analyze', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { path, type } = req.body;
+        if (!path) {
+            return res.status(400).json({ error: 'Path is required' });
+        }
+        await storage.connect();
+        const analysis = await storage.analyzeAdminAudio(path);
+        if (!analysis) {
+            return res.status(415).json({ error: 'Only WAV and AIFF files can be analysed' });
+        }
+        res.json({
+            success: true,
+            analysis,
+            violations: checkAudioSpec(analysis, getAudioSpecRules(type || 'default')),
+        });
+    }
+    catch (error) {
+        console.error('Admin storage analyze error:', error);
+        res.status(storageErrorStatus(error)).json({
+            error: error instanceof Error ? error.message : 'Failed to analyse file',
+        });
+    }
+});
+// Waveform peaks of a WAV/AIFF file, built on first request and cached until the
+// file changes. Like /stream it accepts ?token=. audiowaveform JSON by default,
+// binary with ?format=dat; ?samplesPerPixel= or ?pixels= pick the zoom level.
+router.get('/waveform', async (req, res) => {
+    try {
+        const token = req.query.token || req.headers.authorization?.substring(7);
+        if (!token) {
+            return res.status(401).json({ error: 'Unauthorized - No token' });
+        }
+        const user = await verifyAdminUser(`Bearer ${token}`);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized - Invalid token' });
+        }
+        const { path, format, samplesPerPixel, pixels } = req.query;
+        if (!path) {
+            return res.status(400).json({ error: 'Path is required' });
+        }
+        await storage.connect();
+        const waveform = await storage.getAdminWaveform(path);
+        if (!waveform) {
+            return res.status(415).json({ error: 'Waveforms are only available for WAV and AIFF files' });
+        }
+        sendWaveform(res, waveform, { format, samplesPerPixel, pixels });
+    }
+    catch (error) {
+        console.error('Admin storage waveform error:', error);
+        res.status(error instanceof WaveformError ? error.status : storageErrorStatus(error)).json({
+            error: error instanceof Error ? error.message : 'Failed to get waveform',
+        });
+    }
+});
+// Delete a file or directory (moved to the trash, see /trash below)
 router.post('/delete', async (req, res) => {
     try {
         const user = await verifyAdminUser(req.headers.authorization);
@@ -204,16 +331,182 @@ router.post('/delete', async (req, res) => {
         if (!path) {
             return res.status(400).json({ error: 'Path is required' });
         }
-        await storage.deleteAdminFile(path);
-        res.json({ success: true });
+        await storage.connect();
+        const trashItem = await storage.trashAdminFile(path, user);
+        console.log('🗑️ Moved to trash:', trashItem.originalPath, 'by', user.email);
+        res.json({ success: true, trashItem });
     }
     catch (error) {
         console.error('Admin storage delete error:', error);
-        res.status(500).json({
+        res.status(storageErrorStatus(error)).json({
             error: error instanceof Error ? error.message : 'Failed to delete',
         });
     }
 });
+// Version history of a file: previous contents kept when it was overwritten
+router.post('/versions', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { path } = req.body;
+        if (!path) {
+            return res.status(400).json({ error: 'Path is required' });
+        }
+        await storage.connect();
+        const { current, versions } = await storage.listAdminVersions(path);
+        res.json({
+            success: true,
+            current,
+            versions,
+            maxVersions: parseInt(process.env.MAX_FILE_VERSIONS || '10'),
+        });
+    }
+    catch (error) {
+        console.error('Admin storage versions error:', error);
+        res.status(storageErrorStatus(error)).json({
+            error: error instanceof Error ? error.message : 'Failed to list versions',
+        });
+    }
+});
+// Download one version. GET with ?token= like /stream; supports Range.
+router.get('/versions/download', async (req, res) => {
+    try {
+        const token = req.query.token || req.headers.authorization?.substring(7);
+        if (!token) {
+            return res.status(401).json({ error: 'Unauthorized - No token' });
+        }
+        const user = await verifyAdminUser(`Bearer ${token}`);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized - Invalid token' });
+        }
+        const path = req.query.path;
+        const version = parseInt(req.query.version);
+        if (!path || !version) {
+            return res.status(400).json({ error: 'Path and version are required' });
+        }
+        await storage.connect();
+        const stat = await storage.statAdminVersion(path, version);
+        const filename = path.split('/').pop() || 'download';
+        const dot = filename.lastIndexOf('.');
+        const versionName = dot > 0 ? `${filename.slice(0, dot)} (v${version})${filename.slice(dot)}` : `${filename} (v${version})`;
+        sendRangedFile(req, res, {
+            stat,
+            contentType: mimeFromExtension(filename) || 'application/octet-stream',
+            disposition: `attachment; filename="${encodeURIComponent(versionName)}"`,
+            cacheControl: 'private, no-cache',
+            openStream: (range) => storage.createAdminVersionReadStream(path, version, range),
+        });
+    }
+    catch (error) {
+        console.error('Admin storage version download error:', error);
+        res.status(storageErrorStatus(error)).json({
+            error: error instanceof Error ? error.message : 'Failed to download version',
+        });
+    }
+});
+// Make an old version current again (the current content becomes a new version)
+router.post('/versions/promote', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { path, version } = req.body;
+        if (!path || !version) {
+            return res.status(400).json({ error: 'Path and version are required' });
+        }
+        await storage.connect();
+        await storage.promoteAdminVersion(path, Number(version), user);
+        console.log('⏪ Promoted version', version, 'of', path, 'by', user.email);
+        res.json({ success: true, path: normalizeAdminPath(path) });
+    }
+    catch (error) {
+        console.error('Admin storage version promote error:', error);
+        res.status(storageErrorStatus(error)).json({
+            error: error instanceof Error ? error.message : 'Failed to promote version',
+        });
+    }
+});
+// List trashed items, newest first
+router.get('/trash', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        await storage.connect();
+        const items = await storage.listAdminTrash();
+        res.json({
+            success: true,
+            items,
+            retentionDays: parseFloat(process.env.TRASH_RETENTION_DAYS || '30'),
+        });
+    }
+    catch (error) {
+        console.error('Admin storage trash list error:', error);
+        res.status(storageErrorStatus(error)).json({
+            error: error instanceof Error ? error.message : 'Failed to list trash',
+        });
+    }
+});
+// Restore a trashed item to its original path, or to `path` if given.
+// `conflict` is fail (default), overwrite or suffix.
+router.post('/trash/restore', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { id, path, conflict = 'fail' } = req.body;
+        if (!id) {
+            return res.status(400).json({ error: 'Id is required' });
+        }
+        await storage.connect();
+        const item = await storage.restoreAdminTrash(id, { targetPath: path, conflict });
+        console.log('♻️ Restored from trash:', item.restoredPath);
+        res.json({
+            success: true,
+            path: item.restoredPath,
+        });
+    }
+    catch (error) {
+        console.error('Admin storage trash restore error:', error);
+        res.status(storageErrorStatus(error)).json({
+            error: error instanceof Error ? error.message : 'Failed to restore',
+        });
+    }
+});
+// Permanently delete one trashed item (`id`) or the whole trash (`all: true`)
+router.post('/trash/purge', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { id, all } = req.body;
+        if (!id && all !== true) {
+            return res.status(400).json({ error: 'Id or all is required' });
+        }
+        await storage.connect();
+        const ids = all === true ? (await storage.listAdminTrash()).map((item) => item.id) : [id];
+        for (const itemId of ids) {
+            await storage.purgeAdminTrash(itemId);
+        }
+        console.log('🔥 Purged from trash:', ids.length, 'item(s) by', user.email);
+        res.json({
+            success: true,
+            purged: ids.length,
+        });
+    }
+    catch (error) {
+        console.error('Admin storage trash purge error:', error);
+        res.status(storageErrorStatus(error)).json({
+            error: error instanceof Error ? error.message : 'Failed to purge',
+        });
+    }
+});
 // Create a directory
 router.post('/create-folder', async (req, res) => {
     try {
@@ -225,7 +518,8 @@ router.post('/create-folder', async (req, res) => {
         if (!path || !name) {
             return res.status(400).json({ error: 'Path and name are required' });
         }
-        const remotePath = `${path}/${name}`.replace(/\/+/g, '/');
+        const remotePath = normalizeAdminPath(`${path}/${name}`);
+        await storage.connect();
         await storage.createAdminDirectory(remotePath);
         res.json({
             success: true,
@@ -234,33 +528,246 @@ router.post('/create-folder', async (req, res) => {
     }
     catch (error) {
         console.error('Admin storage create folder error:', error);
-        res.status(500).json({
+        res.status(storageErrorStatus(error)).json({
             error: error instanceof Error ? error.message : 'Failed to create folder',
         });
     }
 });
-// Search files
+// Moving a shared file must not break its links; the move itself already succeeded
+async function updateShareLinksAfterMove(result) {
+    try {
+        return await moveShareLinks(result.from, result.to);
+    }
+    catch (error) {
+        console.error('⚠️ Share links not updated after move:', result, error);
+        return null;
+    }
+}
+// Move a file or directory. `to` is the full destination path;
+// `conflict` is fail (default), overwrite or suffix.
+router.post('/move', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { from, to, conflict = 'fail' } = req.body;
+        if (!from || !to) {
+            return res.status(400).json({ error: 'From and to are required' });
+        }
+        await storage.connect();
+        const result = await storage.moveAdminFile(from, to, { conflict });
+        console.log('🔄 Moved:', result.from, '→', result.to);
+        res.json({
+            success: true,
+            path: result.to,
+            sharedLinksUpdated: await updateShareLinksAfterMove(result),
+        });
+    }
+    catch (error) {
+        console.error('Admin storage move error:', error);
+        res.status(storageErrorStatus(error)).json({
+            error: error instanceof Error ? error.message : 'Failed to move',
+        });
+    }
+});
+// Rename a file or directory in place
+router.post('/rename', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { path, newName, conflict = 'fail' } = req.body;
+        if (!path || !newName) {
+            return res.status(400).json({ error: 'Path and newName are required' });
+        }
+        if (typeof newName !== 'string' || /[\/]/.test(newName) || newName === '.' || newName === '..') {
+            throw new PathError('Name must not contain slashes');
+        }
+        const currentPath = normalizeAdminPath(path);
+        const parentPath = currentPath.substring(0, currentPath.lastIndexOf('/'));
+        await storage.connect();
+        const result = await storage.moveAdminFile(currentPath, `${parentPath}/${newName}`, { conflict });
+        console.log('✏️ Renamed:', result.from, '→', result.to);
+        res.json({
+            success: true,
+            path: result.to,
+            sharedLinksUpdated: await updateShareLinksAfterMove(result),
+        });
+    }
+    catch (error) {
+        console.error('Admin storage rename error:', error);
+        res.status(storageErrorStatus(error)).json({
+            error: error instanceof Error ? error.message : 'Failed to rename',
+        });
+    }
+});
+// Copy a file or directory. Same body as /move.
+router.post('/copy', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { from, to, conflict = 'fail' } = req.body;
+        if (!from || !to) {
+            return res.status(400).json({ error: 'From and to are required' });
+        }
+        await storage.connect();
+        const result = await storage.copyAdminFile(from, to, { conflict });
+        console.log('📋 Copied:', result.from, '→', result.to);
+        res.json({
+            success: true,
+            path: result.to,
+        });
+    }
+    catch (error) {
+        console.error('Admin storage copy error:', error);
+        res.status(storageErrorStatus(error)).json({
+            error: error instanceof Error ? error.message : 'Failed to copy',
+        });
+    }
+});
+// Search files from the metadata index.
+// Body: { path, query, extensions, type, category, minSize, maxSize, modifiedAfter,
+// modifiedBefore, sort: name|path|size|modified, order: asc|desc, cursor, limit }
 router.post('/search', async (req, res) => {
     try {
         const user = await verifyAdminUser(req.headers.authorization);
         if (!user) {
             return res.status(401).json({ error: 'Unauthorized' });
         }
-        const { path = '/', query } = req.body;
-        if (!query) {
-            return res.status(400).json({ error: 'Query is required' });
+        const { path = '/', ...options } = req.body;
+        const hasFilter = ['query', 'extensions', 'type', 'category', 'minSize', 'maxSize', 'modifiedAfter', 'modifiedBefore']
+            .some((key) => options[key] !== undefined && options[key] !== '');
+        if (!hasFilter) {
+            return res.status(400).json({ error: 'Query or filter is required' });
+        }
+        const result = storage.searchAdminFiles(path, options);
+        if (!result) {
+            rescanAdminIndex().catch((error) => console.error('❌ Admin storage index scan failed:', error));
+            res.setHeader('Retry-After', '30');
+            return res.status(503).json({ error: 'Search index is being built, try again shortly', indexing: true });
         }
-        const files = await storage.searchAdminFiles(path, query);
         res.json({
             success: true,
-            files,
+            files: result.results.map((entry) => ({
+                name: entry.name,
+                size: entry.size,
+                type: entry.type === 'directory' ? 'd' : '-',
+                path: entry.path.replace(/^\//, ''),
+                filename: entry.path,
+                ext: entry.ext,
+                category: entry.category,
+                lastmod: new Date(entry.modifiedAt).toISOString(),
+            })),
+            total: result.total,
+            nextCursor: result.nextCursor,
+            indexedAt: storage.adminIndex.stats().lastScanAt,
         });
     }
     catch (error) {
         console.error('Admin storage search error:', error);
-        res.status(500).json({
+        res.status(error instanceof SearchError ? error.status : storageErrorStatus(error)).json({
             error: error instanceof Error ? error.message : 'Failed to search files',
         });
     }
 });
+// Rebuild the search index now instead of waiting for the periodic rescan
+router.post('/index/rescan', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        rescanAdminIndex().catch((error) => console.error('❌ Admin storage index scan failed:', error));
+        res.status(202).json({
+            success: true,
+            index: storage.adminIndex.stats(),
+        });
+    }
+    catch (error) {
+        console.error('Admin storage rescan error:', error);
+        res.status(500).json({
+            error: error instanceof Error ? error.message : 'Failed to start rescan',
+        });
+    }
+});
+// Last reconciliation of the demo / studio upload folders with the database
+router.get('/orphans', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        res.json({ success: true, ...getLastUploadReport() });
+    }
+    catch (error) {
+        console.error('Upload report error:', error);
+        res.status(500).json({
+            error: error instanceof Error ? error.message : 'Failed to get report',
+        });
+    }
+});
+// Run the reconciliation now. Dry run unless the body says `dryRun: false`;
+// `graceHours` overrides UPLOAD_GC_GRACE_HOURS for this run.
+router.post('/orphans/scan', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { dryRun = true, graceHours } = req.body;
+        const options = { dryRun: dryRun !== false };
+        if (graceHours !== undefined) {
+            if (!(Number(graceHours) >= 0)) {
+                return res.status(400).json({ error: 'graceHours must be zero or more' });
+            }
+            options.graceHours = Number(graceHours);
+        }
+        console.log('🧹 Upload reconciliation requested by', user.email, options);
+        const report = await reconcileUploads(options);
+        res.json({ success: true, report });
+    }
+    catch (error) {
+        console.error('Upload reconciliation error:', error);
+        res.status(500).json({
+            error: error instanceof Error ? error.message : 'Failed to reconcile uploads',
+        });
+    }
+});
+// Storage connection pool stats
+router.get('/pool', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        res.json({
+            success: true,
+            ...storage.stats(),
+        });
+    }
+    catch (error) {
+        console.error('Admin storage pool stats error:', error);
+        res.status(storageErrorStatus(error)).json({
+            error: error instanceof Error ? error.message : 'Failed to get pool stats',
+        });
+    }
+});
+/**
+ * Permanently delete trash items older than TRASH_RETENTION_DAYS (default 30, 0 keeps them forever)
+ */
+export async function cleanupExpiredTrash() {
+    await storage.connect();
+    return await storage.purgeExpiredAdminTrash();
+}
+/**
+ * Rebuild the admin storage search index (startup and every ADMIN_INDEX_RESCAN_MINUTES)
+ */
+export async function rescanAdminIndex() {
+    await storage.connect();
+    return await storage.adminIndex.rescan();
+}
 export default router;
@@ -0,0 +1,509 @@
+// Technical analysis of WAV (RIFF, RF64/BW64, BWF) and AIFF/AIFF-C files:
+// format from the headers, then peak/RMS/clipping from the sample data.
+// The parser is incremental, so it can run on an upload while it streams.
+import { WaveformBuilder } from './waveform.js';
+
+// Metadata chunks larger than this are skipped instead of buffered
+const MAX_META_CHUNK_SIZE = 1024 * 1024;
+// Consecutive full-scale samples on one channel counted as a clip
+const CLIP_RUN_LENGTH = 3;
+const UNKNOWN_SIZE = 0xFFFFFFFF;
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+export class AudioSpecError extends Error {
+    constructor(violations) {
+        super(`File does not meet the audio requirements: ${violations.join('; ')}`);
+        this.name = 'AudioSpecError';
+        this.status = 422;
+        this.violations = violations;
+    }
+}
+
+function toDb(value) {
+    return value > 0 ? Math.round(20 * Math.log10(value) * 100) / 100 : null;
+}
+
+// 80-bit IEEE 754 extended precision (AIFF sample rate)
+function readExtended(buffer, offset) {
+    const exponent = buffer.readUInt16BE(offset) & 0x7FFF;
+    const sign = buffer[offset] & 0x80 ? -1 : 1;
+    const hi = buffer.readUInt32BE(offset + 2);
+    const lo = buffer.readUInt32BE(offset + 6);
+    if (exponent === 0 && hi === 0 && lo === 0) {
+        return 0;
+    }
+    return sign * (hi * Math.pow(2, exponent - 16383 - 31) + lo * Math.pow(2, exponent - 16383 - 63));
+}
+
+function readString(buffer, start, length) {
+    return buffer.toString('latin1', start, start + length).replace(/\0.*$/s, '').trim();
+}
+
+export class AudioAnalyzer {
+    /**
+     * `onHeader(header)` is called once the format and data size are known,
+     * before any sample is read. Throwing from it aborts the analysis (and the upload).
+     * With `waveform: true`, peak data is collected too (see waveform()).
+     */
+    constructor({ onHeader, waveform = false } = {}) {
+        this.onHeader = onHeader;
+        this.collectWaveform = waveform;
+        this.waveformBuilder = null;
+        this.state = 'container';
+        this.need = 12;
+        this.pending = Buffer.alloc(0);
+        this.skipRemaining = 0;
+        this.dataRemaining = 0;
+        this.supported = true;
+        this.header = null;
+        this.format = null;
+        this.bwf = null;
+        this.ds64DataSize = null;
+        this.partial = Buffer.alloc(0);
+        this.channelIndex = 0;
+        this.peak = 0;
+        this.sumSquares = 0;
+        this.samples = 0;
+        this.clipEvents = 0;
+        this.clippedSamples = 0;
+        this.clipRuns = [];
+    }
+
+    write(chunk) {
+        let offset = 0;
+        while (this.supported && offset < chunk.length) {
+            if (this.state === 'skip') {
+                const length = Math.min(this.skipRemaining, chunk.length - offset);
+                this.skipRemaining -= length;
+                offset += length;
+                if (this.skipRemaining === 0) {
+                    if (this.samplesAfterSkip) {
+                        this.samplesAfterSkip = false;
+                        this.state = 'samples';
+                    }
+                    else {
+                        this.expect('chunkHeader', 8);
+                    }
+                }
+                continue;
+            }
+            if (this.state === 'samples') {
+                const length = Math.min(this.dataRemaining, chunk.length - offset);
+                this.processSamples(chunk.subarray(offset, offset + length));
+                this.dataRemaining -= length;
+                offset += length;
+                if (this.dataRemaining === 0) {
+                    this.skipTo(this.dataPad);
+                }
+                continue;
+            }
+            const length = Math.min(this.need - this.pending.length, chunk.length - offset);
+            this.pending = Buffer.concat([this.pending, chunk.subarray(offset, offset + length)]);
+            offset += length;
+            if (this.pending.length === this.need) {
+                const data = this.pending;
+                this.pending = Buffer.alloc(0);
+                this.handle(data);
+            }
+        }
+    }
+
+    expect(state, need) {
+        this.state = state;
+        this.need = need;
+    }
+
+    skipTo(length) {
+        if (length > 0) {
+            this.state = 'skip';
+            this.skipRemaining = length;
+        }
+        else {
+            this.expect('chunkHeader', 8);
+        }
+    }
+
+    handle(data) {
+        switch (this.state) {
+            case 'container':
+                return this.readContainer(data);
+            case 'chunkHeader':
+                return this.readChunkHeader(data);
+            case 'chunkBody':
+                this.readChunkBody(this.chunkId, data.subarray(0, this.chunkSize));
+                return this.expect('chunkHeader', 8);
+            case 'ssndHeader':
+                return this.startSsnd(data);
+        }
+    }
+
+    readContainer(data) {
+        const riff = data.toString('latin1', 0, 4);
+        const form = data.toString('latin1', 8, 12);
+        if ((riff === 'RIFF' || riff === 'RF64' || riff === 'BW64') && form === 'WAVE') {
+            this.container = 'wav';
+            this.format = riff === 'RIFF' ? 'wav' : 'rf64';
+            this.littleEndian = true;
+        }
+        else if (riff === 'FORM' && (form === 'AIFF' || form === 'AIFC')) {
+            this.container = 'aiff';
+            this.format = form === 'AIFF' ? 'aiff' : 'aifc';
+            this.littleEndian = false;
+        }
+        else {
+            this.supported = false;
+            return;
+        }
+        this.expect('chunkHeader', 8);
+    }
+
+    readChunkHeader(data) {
+        const id = data.toString('latin1', 0, 4);
+        const size = this.littleEndian ? data.readUInt32LE(4) : data.readUInt32BE(4);
+        const pad = size % 2;
+        if ((id === 'data' && this.container === 'wav') || (id === 'SSND' && this.container === 'aiff')) {
+            let dataSize = size;
+            if (this.container === 'wav' && size === UNKNOWN_SIZE && this.ds64DataSize !== null) {
+                dataSize = this.ds64DataSize;
+            }
+            if (this.container === 'wav' && (dataSize === 0 || dataSize === UNKNOWN_SIZE)) {
+                // Written by a recorder that never patched the size: read to the end
+                dataSize = Infinity;
+            }
+            this.dataPad = Number.isFinite(dataSize) ? dataSize % 2 : 0;
+            if (id === 'SSND') {
+                this.dataRemaining = dataSize - 8;
+                return this.expect('ssndHeader', 8);
+            }
+            this.dataRemaining = dataSize;
+            return this.startSamples(dataSize);
+        }
+        if (['fmt ', 'ds64', 'bext', 'COMM'].includes(id) && size <= MAX_META_CHUNK_SIZE) {
+            this.chunkId = id;
+            this.chunkSize = size;
+            return this.expect('chunkBody', size + pad);
+        }
+        this.skipTo(size + pad);
+    }
+
+    readChunkBody(id, body) {
+        if (id === 'ds64' && body.length >= 16) {
+            this.ds64DataSize = Number(body.readBigUInt64LE(8));
+        }
+        else if (id === 'fmt ' && body.length >= 16) {
+            let formatTag = body.readUInt16LE(0);
+            const blockAlign = body.readUInt16LE(12);
+            let bitDepth = body.readUInt16LE(14);
+            if (formatTag === WAVE_FORMAT_EXTENSIBLE && body.length >= 26) {
+                bitDepth = body.readUInt16LE(18) || bitDepth; // valid bits per sample
+                formatTag = body.readUInt16LE(24); // first two bytes of the sub-format GUID
+            }
+            this.fmt = {
+                encoding: formatTag === WAVE_FORMAT_PCM ? 'pcm' : formatTag === WAVE_FORMAT_IEEE_FLOAT ? 'float' : `format-0x${formatTag.toString(16)}`,
+                channels: body.readUInt16LE(2),
+                sampleRate: body.readUInt32LE(4),
+                blockAlign,
+                bitDepth,
+            };
+        }
+        else if (id === 'COMM' && body.length >= 18) {
+            const sampleSize = body.readUInt16BE(6);
+            let encoding = 'pcm';
+            let littleEndianSamples = false;
+            if (this.format === 'aifc' && body.length >= 22) {
+                const compression = body.toString('latin1', 18, 22);
+                if (compression === 'sowt') {
+                    littleEndianSamples = true;
+                }
+                else if (compression === 'fl32' || compression === 'FL32' || compression === 'fl64' || compression === 'FL64') {
+                    encoding = 'float';
+                }
+                else if (compression !== 'NONE') {
+                    encoding = compression.trim();
+                }
+            }
+            const channels = body.readUInt16BE(0);
+            this.fmt = {
+                encoding,
+                channels,
+                frames: body.readUInt32BE(2),
+                sampleRate: readExtended(body, 8),
+                blockAlign: channels * Math.ceil(sampleSize / 8),
+                bitDepth: sampleSize,
+                littleEndianSamples,
+            };
+        }
+        else if (id === 'bext' && body.length >= 348) {
+            const version = body.readUInt16LE(346);
+            this.bwf = {
+                description: readString(body, 0, 256),
+                originator: readString(body, 256, 32),
+                originatorReference: readString(body, 288, 32),
+                originationDate: readString(body, 320, 10),
+                originationTime: readString(body, 330, 8),
+                timeReference: Number(body.readBigUInt64LE(338)),
+                version,
+            };
+            if (version >= 2 && body.length >= 422) {
+                const loudness = (offset) => {
+                    const value = body.readInt16LE(offset);
+                    return value === 0x7FFF ? null : value / 100;
+                };
+                this.bwf.loudness = {
+                    integrated: loudness(412),
+                    range: loudness(414),
+                    maxTruePeak: loudness(416),
+                    maxMomentary: loudness(418),
+                    maxShortTerm: loudness(420),
+                };
+            }
+            if (body.length > 602) {
+                this.bwf.codingHistory = readString(body, 602, body.length - 602);
+            }
+        }
+    }
+
+    startSsnd(data) {
+        const offset = data.readUInt32BE(0);
+        this.dataRemaining -= offset;
+        this.startSamples(this.dataRemaining);
+        if (offset > 0 && this.supported) {
+            // Samples start after `offset` bytes of padding
+            this.state = 'skip';
+            this.skipRemaining = offset;
+            this.samplesAfterSkip = true;
+        }
+    }
+
+    startSamples(dataSize) {
+        if (!this.fmt) {
+            this.supported = false;
+            return;
+        }
+        const { encoding, channels, sampleRate, blockAlign, bitDepth } = this.fmt;
+        const frames = this.fmt.frames ?? (Number.isFinite(dataSize) && blockAlign ? Math.floor(dataSize / blockAlign) : null);
+        this.header = {
+            format: this.format,
+            encoding,
+            sampleRate,
+            bitDepth,
+            channels,
+            frames,
+            duration: frames !== null && sampleRate ? Math.round(frames / sampleRate * 1000) / 1000 : null,
+            bwf: this.bwf,
+        };
+        this.bytesPerSample = channels ? blockAlign / channels : 0;
+        this.decodable = (encoding === 'pcm' && [1, 2, 3, 4].includes(this.bytesPerSample))
+            || (encoding === 'float' && [4, 8].includes(this.bytesPerSample));
+        this.sampleLittleEndian = this.container === 'wav' || this.fmt.littleEndianSamples;
+        this.fullScale = encoding === 'pcm' ? Math.pow(2, this.bytesPerSample * 8 - 1) : 1;
+        this.clipRuns = new Array(channels).fill(0);
+        if (this.collectWaveform && this.decodable && channels > 0 && sampleRate > 0) {
+            this.waveformBuilder = new WaveformBuilder({ channels, sampleRate: Math.round(sampleRate) });
+        }
+        this.state = 'samples';
+        if (this.onHeader) {
+            this.onHeader(this.header);
+        }
+    }
+
+    readSample(buffer, offset) {
+        const little = this.sampleLittleEndian;
+        switch (this.fmt.encoding === 'float' ? -this.bytesPerSample : this.bytesPerSample) {
+            case 1:
+                // 8-bit WAV is unsigned, 8-bit AIFF is signed
+                return this.container === 'wav' ? buffer[offset] - 128 : buffer.readInt8(offset);
+            case 2:
+                return little ? buffer.readInt16LE(offset) : buffer.readInt16BE(offset);
+            case 3:
+                return little ? buffer.readIntLE(offset, 3) : buffer.readIntBE(offset, 3);
+            case 4:
+                return little ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset);
+            case -4:
+                return little ? buffer.readFloatLE(offset) : buffer.readFloatBE(offset);
+            case -8:
+                return little ? buffer.readDoubleLE(offset) : buffer.readDoubleBE(offset);
+        }
+        return 0;
+    }
+
+    processSamples(bytes) {
+        if (!this.decodable) {
+            return;
+        }
+        const buffer = this.partial.length > 0 ? Buffer.concat([this.partial, bytes]) : bytes;
+        const size = this.bytesPerSample;
+        const usable = buffer.length - (buffer.length % size);
+        const isFloat = this.fmt.encoding === 'float';
+        const fullScale = this.fullScale;
+        const channels = this.fmt.channels;
+        const waveform = this.waveformBuilder;
+        for (let offset = 0; offset < usable; offset += size) {
+            const raw = this.readSample(buffer, offset);
+            const signed = isFloat ? raw : raw / fullScale;
+            const value = Math.abs(signed);
+            if (waveform) {
+                waveform.add(this.channelIndex, signed);
+            }
+            // Integer full scale is either extreme code; float is anything at or above 1.0
+            const atFullScale = isFloat ? value >= 1 : (raw === -fullScale || raw === fullScale - 1);
+            if (value > this.peak) {
+                this.peak = value;
+            }
+            this.sumSquares += value * value;
+            this.samples++;
+            if (atFullScale) {
+                this.clippedSamples++;
+                if (++this.clipRuns[this.channelIndex] === CLIP_RUN_LENGTH) {
+                    this.clipEvents++;
+                }
+            }
+            else {
+                this.clipRuns[this.channelIndex] = 0;
+            }
+            this.channelIndex = (this.channelIndex + 1) % channels;
+        }
+        this.partial = Buffer.from(buffer.subarray(usable));
+    }
+
+    // Nothing more to learn from the rest of the file
+    get unreadable() {
+        return !this.supported || (this.header !== null && !this.decodable);
+    }
+
+    // Peak data for the samples read so far (null unless `waveform` was set)
+    waveform() {
+        return this.waveformBuilder ? this.waveformBuilder.build() : null;
+    }
+
+    /**
+     * Final report, or null when the file is not a WAV/AIFF we can read
+     */
+    result() {
+        if (!this.supported || !this.header) {
+            return null;
+        }
+        const rms = this.samples > 0 ? Math.sqrt(this.sumSquares / this.samples) : 0;
+        return {
+            ...this.header,
+            levels: this.decodable ? {
+                peak: Math.round(this.peak * 1e6) / 1e6,
+                peakDb: toDb(this.peak),
+                rms: Math.round(rms * 1e6) / 1e6,
+                rmsDb: toDb(rms),
+                clippedSamples: this.clippedSamples,
+                clipEvents: this.clipEvents,
+                clipped: this.clipEvents > 0,
+            } : null,
+        };
+    }
+}
+
+/**
+ * Run an AudioAnalyzer over a whole readable stream
+ */
+export async function analyzeAudioStream(stream, options) {
+    const analyzer = new AudioAnalyzer(options);
+    for await (const chunk of stream) {
+        analyzer.write(chunk);
+    }
+    return analyzer.result();
+}
+
+/**
+ * Header-only analysis from the first bytes of a file (no levels).
+ * Returns null if the header does not fit in `head`.
+ */
+export function analyzeAudioHead(head) {
+    const analyzer = new AudioAnalyzer();
+    analyzer.write(head);
+    const result = analyzer.result();
+    return result ? { ...result, levels: null } : null;
+}
+
+/**
+ * Spec rules per upload type from AUDIO_SPEC_RULES (JSON), e.g.
+ * {"label-submissions": {"minSampleRate": 44100, "minBitDepth": 16, "maxDuration": 900}}
+ * A "default" entry applies to types without their own rules.
+ */
+export function getAudioSpecRules(type) {
+    if (!process.env.AUDIO_SPEC_RULES) {
+        return null;
+    }
+    let rules;
+    try {
+        rules = JSON.parse(process.env.AUDIO_SPEC_RULES);
+    }
+    catch (error) {
+        console.error('❌ AUDIO_SPEC_RULES is not valid JSON:', error.message);
+        return null;
+    }
+    return rules[type] || rules.default || null;
+}
+
+/**
+ * List of rule violations (empty when the file passes). Files that are not
+ * WAV/AIFF are not checked, and level rules (maxPeakDb, allowClipping) are
+ * skipped when levels were not measured.
+ */
+export function checkAudioSpec(analysis, rules) {
+    if (!rules || !analysis) {
+        return [];
+    }
+    const violations = [];
+    const below = (value, min, label, unit = '') => {
+        if (min !== undefined && value !== null && value !== undefined && value < min) {
+            violations.push(`${label} is ${value}${unit}, minimum is ${min}${unit}`);
+        }
+    };
+    const above = (value, max, label, unit = '') => {
+        if (max !== undefined && value !== null && value !== undefined && value > max) {
+            violations.push(`${label} is ${value}${unit}, maximum is ${max}${unit}`);
+        }
+    };
+    if (rules.encodings && !rules.encodings.includes(analysis.encoding)) {
+        violations.push(`Encoding ${analysis.encoding} is not allowed`);
+    }
+    below(analysis.sampleRate, rules.minSampleRate, 'Sample rate', ' Hz');
+    above(analysis.sampleRate, rules.maxSampleRate, 'Sample rate', ' Hz');
+    below(analysis.bitDepth, rules.minBitDepth, 'Bit depth', '-bit');
+    above(analysis.bitDepth, rules.maxBitDepth, 'Bit depth', '-bit');
+    below(analysis.channels, rules.minChannels, 'Channel count');
+    above(analysis.channels, rules.maxChannels, 'Channel count');
+    below(analysis.duration, rules.minDuration, 'Duration', ' s');
+    above(analysis.duration, rules.maxDuration, 'Duration', ' s');
+    if (analysis.levels) {
+        above(analysis.levels.peakDb, rules.maxPeakDb, 'Peak level', ' dBFS');
+        if (rules.allowClipping === false && analysis.levels.clipped) {
+            violations.push(`Audio is clipped (${analysis.levels.clipEvents} clip events)`);
+        }
+    }
+    return violations;
+}
+
+export function assertAudioSpec(analysis, rules) {
+    const violations = checkAudioSpec(analysis, rules);
+    if (violations.length > 0) {
+        throw new AudioSpecError(violations);
+    }
+}
+
+/**
+ * Analyzer for a streaming upload: header rules are enforced as soon as the
+ * header has been read, level rules once the whole file has been seen.
+ */
+export function createAudioSpecCheck(rules, { waveform = false } = {}) {
+    const analyzer = new AudioAnalyzer({ onHeader: (header) => assertAudioSpec(header, rules), waveform });
+    return {
+        write: (chunk) => analyzer.write(chunk),
+        finish() {
+            const analysis = analyzer.result();
+            assertAudioSpec(analysis, rules);
+            return analysis;
+        },
+        waveform: () => analyzer.waveform(),
+    };
+}
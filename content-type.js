@@ -0,0 +1,196 @@
+import path from 'path';
+import { fileTypeFromBuffer } from 'file-type';
+
+// file-type needs at most this many bytes to recognise any format it supports
+export const SNIFF_BYTES = 4100;
+const CACHE_SIZE = 10000;
+
+const EXTENSION_TYPES = {
+    // audio
+    wav: 'audio/wav',
+    bwf: 'audio/wav',
+    rf64: 'audio/wav',
+    aif: 'audio/aiff',
+    aiff: 'audio/aiff',
+    aifc: 'audio/aiff',
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    flac: 'audio/flac',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    opus: 'audio/opus',
+    wma: 'audio/x-ms-wma',
+    mid: 'audio/midi',
+    midi: 'audio/midi',
+    // video
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mov: 'video/quicktime',
+    webm: 'video/webm',
+    mkv: 'video/x-matroska',
+    avi: 'video/x-msvideo',
+    // images
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    svg: 'image/svg+xml',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    bmp: 'image/bmp',
+    psd: 'image/vnd.adobe.photoshop',
+    // documents
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    csv: 'text/csv',
+    json: 'application/json',
+    xml: 'application/xml',
+    rtf: 'application/rtf',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    odt: 'application/vnd.oasis.opendocument.text',
+    ods: 'application/vnd.oasis.opendocument.spreadsheet',
+    pages: 'application/vnd.apple.pages',
+    // archives
+    zip: 'application/zip',
+    rar: 'application/vnd.rar',
+    '7z': 'application/x-7z-compressed',
+    tar: 'application/x-tar',
+    gz: 'application/gzip',
+    tgz: 'application/gzip',
+    bz2: 'application/x-bzip2',
+    xz: 'application/x-xz',
+};
+
+// Alternative names file-type (or older tools) use for the same formats
+const MIME_ALIASES = {
+    'audio/x-wav': 'audio/wav',
+    'audio/vnd.wave': 'audio/wav',
+    'audio/x-aiff': 'audio/aiff',
+    'audio/x-m4a': 'audio/mp4',
+    'audio/x-flac': 'audio/flac',
+    'application/x-rar-compressed': 'application/vnd.rar',
+    'application/x-gzip': 'application/gzip',
+};
+
+// Container formats: when sniffing only finds the container, the extension knows better
+const GENERIC_SNIFFED_TYPES = ['application/zip', 'application/x-cfb', 'application/xml', 'application/octet-stream'];
+
+const ARCHIVE_TYPES = [
+    'application/zip',
+    'application/vnd.rar',
+    'application/x-7z-compressed',
+    'application/x-tar',
+    'application/gzip',
+    'application/x-bzip2',
+    'application/x-xz',
+    'application/zstd',
+];
+
+function normalizeMime(mime) {
+    return MIME_ALIASES[mime] || mime;
+}
+
+export function mimeFromExtension(filename) {
+    const ext = path.posix.extname(filename || '').slice(1).toLowerCase();
+    return EXTENSION_TYPES[ext] || null;
+}
+
+/**
+ * audio | video | image | document | archive | other
+ */
+export function categoryFromMime(mime) {
+    if (!mime) {
+        return 'other';
+    }
+    const [family] = mime.split('/');
+    if (family === 'audio' || family === 'video' || family === 'image') {
+        return family;
+    }
+    if (ARCHIVE_TYPES.includes(mime)) {
+        return 'archive';
+    }
+    if (family === 'text' || mime === 'application/pdf' || mime === 'application/json' || mime === 'application/xml'
+        || mime === 'application/rtf' || /msword|ms-excel|ms-powerpoint|officedocument|opendocument|apple\.pages/.test(mime)) {
+        return 'document';
+    }
+    return 'other';
+}
+
+/**
+ * Combine the extension with the file's magic bytes. The content wins, except
+ * when it only reveals a generic container (a .docx is also a zip).
+ */
+export async function mimeFromContent(filename, head) {
+    const fromExtension = mimeFromExtension(filename);
+    const sniffed = head && head.length > 0 ? await fileTypeFromBuffer(head).catch(() => undefined) : undefined;
+    const fromContent = sniffed ? normalizeMime(sniffed.mime) : null;
+    if (fromContent && !(fromExtension && GENERIC_SNIFFED_TYPES.includes(fromContent))) {
+        return fromContent;
+    }
+    return fromExtension || fromContent || 'application/octet-stream';
+}
+
+/**
+ * Content types of stored files, cached per path + mtime so a file is sniffed
+ * at most once until it changes.
+ */
+export class ContentTypeService {
+    constructor(size = CACHE_SIZE) {
+        this.size = size;
+        this.cache = new Map();
+    }
+
+    key(filePath, modifyTime) {
+        return `${filePath}\0${modifyTime}`;
+    }
+
+    cached(filePath, modifyTime) {
+        return this.cache.get(this.key(filePath, modifyTime)) || null;
+    }
+
+    remember(filePath, modifyTime, info) {
+        const key = this.key(filePath, modifyTime);
+        this.cache.delete(key);
+        this.cache.set(key, info);
+        // Maps iterate in insertion order: the first key is the least recently stored
+        if (this.cache.size > this.size) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return info;
+    }
+
+    /**
+     * Cheap lookup for listings: cached result if any, otherwise the extension.
+     * `sniffed` tells whether the answer comes from the file's content.
+     */
+    peek(filePath, modifyTime) {
+        const cached = this.cached(filePath, modifyTime);
+        if (cached) {
+            return cached;
+        }
+        const mime = mimeFromExtension(filePath) || 'application/octet-stream';
+        return { mime, category: categoryFromMime(mime), sniffed: false };
+    }
+
+    /**
+     * Full detection. `readHead()` resolves to the first SNIFF_BYTES of the file
+     * and is only called on a cache miss.
+     */
+    async detect(filePath, modifyTime, readHead) {
+        const cached = this.cached(filePath, modifyTime);
+        if (cached) {
+            return cached;
+        }
+        const mime = await mimeFromContent(filePath, await readHead());
+        return this.remember(filePath, modifyTime, { mime, category: categoryFromMime(mime), sniffed: true });
+    }
+}
@@ -0,0 +1,13 @@
+// Every driver reports missing files the same way: an Error with code ENOENT
+export function notFoundError(remotePath, cause) {
+    const error = new Error(`No such file or directory: ${remotePath}`);
+    error.code = 'ENOENT';
+    if (cause) {
+        error.cause = cause;
+    }
+    return error;
+}
+
+export function isNotFoundError(error) {
+    return error?.code === 'ENOENT';
+}
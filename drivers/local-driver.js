@@ -0,0 +1,139 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { notFoundError, isNotFoundError } from './errors.js';
+
+// Local-disk driver: remote paths are mapped under LOCAL_STORAGE_ROOT.
+// Used for development and for running the server without an o2switch account.
+export class LocalDriver {
+    constructor(root = process.env.LOCAL_STORAGE_ROOT || './storage-data') {
+        this.name = 'local';
+        this.root = path.resolve(root);
+    }
+
+    async connect() {
+        await fsp.mkdir(this.root, { recursive: true });
+        this.realRoot = this.realRoot || await fsp.realpath(this.root);
+    }
+
+    async disconnect() { }
+
+    resolve(remotePath) {
+        // Remote paths are absolute POSIX paths; keep them under the root
+        return path.join(this.root, path.posix.normalize(`/${remotePath}`));
+    }
+
+    async put(remotePath, source) {
+        const fullPath = this.resolve(remotePath);
+        await fsp.mkdir(path.dirname(fullPath), { recursive: true });
+        await pipeline(Buffer.isBuffer(source) ? Readable.from([source]) : source, fs.createWriteStream(fullPath));
+    }
+
+    async get(remotePath) {
+        try {
+            return await fsp.readFile(this.resolve(remotePath));
+        }
+        catch (error) {
+            throw this.normalizeError(error, remotePath);
+        }
+    }
+
+    getStream(remotePath, { start, end } = {}) {
+        return fs.createReadStream(this.resolve(remotePath), { start, end });
+    }
+
+    async list(remotePath) {
+        try {
+            const fullPath = this.resolve(remotePath);
+            const entries = await fsp.readdir(fullPath, { withFileTypes: true });
+            return await Promise.all(entries.map(async (entry) => {
+                const stat = await fsp.stat(path.join(fullPath, entry.name));
+                return {
+                    name: entry.name,
+                    type: stat.isDirectory() ? 'directory' : 'file',
+                    size: stat.size,
+                    modifyTime: stat.mtimeMs,
+                };
+            }));
+        }
+        catch (error) {
+            throw this.normalizeError(error, remotePath);
+        }
+    }
+
+    async stat(remotePath) {
+        try {
+            const stat = await fsp.stat(this.resolve(remotePath));
+            return {
+                size: stat.size,
+                modifyTime: stat.mtimeMs,
+                isDirectory: stat.isDirectory(),
+            };
+        }
+        catch (error) {
+            throw this.normalizeError(error, remotePath);
+        }
+    }
+
+    async delete(remotePath, { recursive = false } = {}) {
+        const stat = await this.stat(remotePath);
+        if (stat.isDirectory) {
+            await fsp.rm(this.resolve(remotePath), { recursive });
+        }
+        else {
+            await fsp.unlink(this.resolve(remotePath));
+        }
+    }
+
+    async mkdir(remotePath) {
+        await fsp.mkdir(this.resolve(remotePath), { recursive: true });
+    }
+
+    async rename(fromPath, toPath) {
+        const target = this.resolve(toPath);
+        await fsp.mkdir(path.dirname(target), { recursive: true });
+        await fsp.rename(this.resolve(fromPath), target);
+    }
+
+    async copy(fromPath, toPath) {
+        const target = this.resolve(toPath);
+        await fsp.mkdir(path.dirname(target), { recursive: true });
+        try {
+            await fsp.cp(this.resolve(fromPath), target, { recursive: true, errorOnExist: true, force: false });
+        }
+        catch (error) {
+            throw this.normalizeError(error, fromPath);
+        }
+    }
+
+    async exists(remotePath) {
+        try {
+            await fsp.access(this.resolve(remotePath));
+            return true;
+        }
+        catch {
+            return false;
+        }
+    }
+
+    // Resolves symlinks; null when the path does not exist. A link pointing
+    // outside the root comes back as "/../..." and fails every jail check.
+    async realpath(remotePath) {
+        try {
+            const real = await fsp.realpath(this.resolve(remotePath));
+            return `/${path.relative(this.realRoot || this.root, real).split(path.sep).join('/')}`;
+        }
+        catch (error) {
+            if (isNotFoundError(error)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    normalizeError(error, remotePath) {
+        return isNotFoundError(error) ? notFoundError(remotePath, error) : error;
+    }
+}
@@ -0,0 +1,238 @@
+import { PassThrough, Readable } from 'stream';
+import {
+    S3Client,
+    GetObjectCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command,
+    PutObjectCommand,
+    CopyObjectCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { notFoundError } from './errors.js';
+
+// CopyObject refuses sources above 5 GB; bigger files are streamed through the server
+const MAX_COPY_OBJECT_SIZE = 5 * 1024 * 1024 * 1024;
+
+// S3-compatible driver (AWS, MinIO, ...). Directories are key prefixes; an
+// empty `dir/` marker object keeps explicitly created folders visible.
+export class S3Driver {
+    constructor() {
+        this.name = 's3';
+        this.bucket = process.env.S3_BUCKET;
+        this.client = new S3Client({
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            region: process.env.S3_REGION || 'us-east-1',
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true', // required for MinIO
+            credentials: process.env.S3_ACCESS_KEY_ID ? {
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            } : undefined,
+        });
+    }
+
+    async connect() {
+        if (!this.bucket) {
+            throw new Error('S3_BUCKET is not configured');
+        }
+    }
+
+    async disconnect() {
+        this.client.destroy();
+    }
+
+    key(remotePath) {
+        return remotePath.replace(/\/+/g, '/').replace(/^\//, '').replace(/\/$/, '');
+    }
+
+    prefix(remotePath) {
+        const key = this.key(remotePath);
+        return key ? `${key}/` : '';
+    }
+
+    async put(remotePath, source) {
+        // Multipart upload with bounded memory (4 parts of 5 MB in flight)
+        const upload = new Upload({
+            client: this.client,
+            params: { Bucket: this.bucket, Key: this.key(remotePath), Body: source },
+        });
+        await upload.done();
+    }
+
+    async get(remotePath) {
+        const chunks = [];
+        for await (const chunk of this.getStream(remotePath)) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    // Returns synchronously like the other drivers; the body is piped in once S3 answers
+    getStream(remotePath, { start, end } = {}) {
+        const output = new PassThrough();
+        const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+        this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.key(remotePath), Range: range }))
+            .then((response) => {
+                const body = response.Body instanceof Readable ? response.Body : Readable.fromWeb(response.Body);
+                body.on('error', (error) => output.destroy(error));
+                output.on('close', () => body.destroy());
+                body.pipe(output);
+            })
+            .catch((error) => output.destroy(this.normalizeError(error, remotePath)));
+        return output;
+    }
+
+    async listKeys(prefix, delimiter) {
+        const files = [];
+        const prefixes = [];
+        let continuationToken;
+        do {
+            const response = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: prefix,
+                Delimiter: delimiter,
+                ContinuationToken: continuationToken,
+            }));
+            files.push(...(response.Contents || []));
+            prefixes.push(...(response.CommonPrefixes || []).map((item) => item.Prefix));
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+        return { files, prefixes };
+    }
+
+    async list(remotePath) {
+        const prefix = this.prefix(remotePath);
+        const { files, prefixes } = await this.listKeys(prefix, '/');
+        if (prefix && files.length === 0 && prefixes.length === 0) {
+            throw notFoundError(remotePath);
+        }
+        return [
+            ...prefixes.map((dirPrefix) => ({
+                name: dirPrefix.slice(prefix.length, -1),
+                type: 'directory',
+                size: 0,
+                modifyTime: Date.now(),
+            })),
+            ...files
+                .filter((object) => object.Key !== prefix)
+                .map((object) => ({
+                    name: object.Key.slice(prefix.length),
+                    type: 'file',
+                    size: object.Size,
+                    modifyTime: object.LastModified ? object.LastModified.getTime() : Date.now(),
+                })),
+        ];
+    }
+
+    async stat(remotePath) {
+        const key = this.key(remotePath);
+        if (key) {
+            try {
+                const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+                return {
+                    size: head.ContentLength,
+                    modifyTime: head.LastModified ? head.LastModified.getTime() : Date.now(),
+                    isDirectory: false,
+                };
+            }
+            catch (error) {
+                if (this.normalizeError(error, remotePath).code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+        const response = await this.client.send(new ListObjectsV2Command({
+            Bucket: this.bucket,
+            Prefix: this.prefix(remotePath),
+            MaxKeys: 1,
+        }));
+        if (key && !response.KeyCount) {
+            throw notFoundError(remotePath);
+        }
+        return { size: 0, modifyTime: Date.now(), isDirectory: true };
+    }
+
+    async delete(remotePath, { recursive = false } = {}) {
+        const stat = await this.stat(remotePath);
+        if (!stat.isDirectory) {
+            await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.key(remotePath) }));
+            return;
+        }
+        const { files } = await this.listKeys(this.prefix(remotePath));
+        if (!recursive && files.some((object) => object.Key !== this.prefix(remotePath))) {
+            throw new Error(`Directory not empty: ${remotePath}`);
+        }
+        for (let i = 0; i < files.length; i += 1000) {
+            await this.client.send(new DeleteObjectsCommand({
+                Bucket: this.bucket,
+                Delete: { Objects: files.slice(i, i + 1000).map((object) => ({ Key: object.Key })) },
+            }));
+        }
+    }
+
+    async mkdir(remotePath) {
+        const prefix = this.prefix(remotePath);
+        if (prefix) {
+            await this.client.send(new PutObjectCommand({ Bucket: this.bucket, Key: prefix, Body: '' }));
+        }
+    }
+
+    async copyObject(fromKey, toKey, size) {
+        if (size > MAX_COPY_OBJECT_SIZE) {
+            await this.put(toKey, this.getStream(fromKey));
+            return;
+        }
+        await this.client.send(new CopyObjectCommand({
+            Bucket: this.bucket,
+            CopySource: encodeURIComponent(`${this.bucket}/${fromKey}`),
+            Key: toKey,
+        }));
+    }
+
+    // S3 has no rename: copy then delete, key by key for directories
+    async rename(fromPath, toPath) {
+        await this.copy(fromPath, toPath);
+        await this.delete(fromPath, { recursive: true });
+    }
+
+    async copy(fromPath, toPath) {
+        const stat = await this.stat(fromPath);
+        if (!stat.isDirectory) {
+            await this.copyObject(this.key(fromPath), this.key(toPath), stat.size);
+            return;
+        }
+        const fromPrefix = this.prefix(fromPath);
+        const toPrefix = this.prefix(toPath);
+        const { files } = await this.listKeys(fromPrefix);
+        for (const object of files) {
+            await this.copyObject(object.Key, toPrefix + object.Key.slice(fromPrefix.length), object.Size);
+        }
+    }
+
+    async exists(remotePath) {
+        try {
+            await this.stat(remotePath);
+            return true;
+        }
+        catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    // Object storage has no symlinks
+    async realpath(remotePath) {
+        return await this.exists(remotePath) ? `/${this.key(remotePath)}` : null;
+    }
+
+    normalizeError(error, remotePath) {
+        const status = error?.$metadata?.httpStatusCode;
+        if (status === 404 || error?.name === 'NoSuchKey' || error?.name === 'NotFound') {
+            return notFoundError(remotePath, error);
+        }
+        return error;
+    }
+}
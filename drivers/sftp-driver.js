@@ -0,0 +1,224 @@
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { SftpPool } from './sftp-pool.js';
+import { notFoundError, isNotFoundError } from './errors.js';
+
+// o2switch SFTP driver (ssh2-sftp-client). Every operation borrows a session
+// from the pool, so a dropped SSH connection is replaced instead of breaking
+// every later request. Transfers (streams, uploads) have their own pool, so
+// slow downloads cannot starve listings and other short operations.
+export class SftpDriver {
+    constructor() {
+        this.name = 'sftp';
+        this.pools = null;
+    }
+
+    // Settings are read on first use: .env.local is only loaded after every module was imported
+    createPools() {
+        const connectOptions = {
+            host: process.env.O2SWITCH_SFTP_HOST,
+            port: parseInt(process.env.O2SWITCH_SFTP_PORT || '22'),
+            username: process.env.O2SWITCH_SFTP_USER,
+            password: process.env.O2SWITCH_SFTP_PASSWORD,
+            readyTimeout: 60000,
+            retries: 3,
+            retry_factor: 2,
+            retry_minTimeout: 2000,
+            keepaliveInterval: 10000,
+            keepaliveCountMax: 3,
+        };
+        const acquireTimeout = parseInt(process.env.SFTP_ACQUIRE_TIMEOUT_MS || '60000');
+        return {
+            operations: new SftpPool({
+                size: parseInt(process.env.SFTP_POOL_SIZE || '3'),
+                acquireTimeout,
+                operationTimeout: parseInt(process.env.SFTP_OPERATION_TIMEOUT_MS || '120000'),
+                connectOptions,
+            }),
+            transfers: new SftpPool({
+                size: parseInt(process.env.SFTP_TRANSFER_POOL_SIZE || '4'),
+                acquireTimeout,
+                operationTimeout: 0,
+                connectOptions,
+            }),
+        };
+    }
+
+    get pool() {
+        if (!this.pools) {
+            this.pools = this.createPools();
+        }
+        return this.pools.operations;
+    }
+
+    get transferPool() {
+        if (!this.pools) {
+            this.pools = this.createPools();
+        }
+        return this.pools.transfers;
+    }
+
+    // Connections are opened lazily by the pools
+    async connect() { }
+
+    async disconnect() {
+        if (this.pools) {
+            await this.pools.operations.drain();
+            await this.pools.transfers.drain();
+        }
+        console.log('🔌 SFTP connections closed');
+    }
+
+    stats() {
+        return { ...this.pool.stats(), transfers: this.transferPool.stats() };
+    }
+
+    async run(operation, remotePath, options = {}) {
+        try {
+            return await this.pool.run(operation, options);
+        }
+        catch (error) {
+            throw this.normalizeError(error, remotePath);
+        }
+    }
+
+    // Streams are piped with backpressure; resolves once the remote handle is closed.
+    // Transfers hold a transfer session, they are not subject to the operation timeout.
+    async put(remotePath, source) {
+        await this.mkdir(path.dirname(remotePath));
+        const lease = await this.transferPool.acquire();
+        const writeStream = lease.client.createWriteStream(remotePath);
+        try {
+            await pipeline(Buffer.isBuffer(source) ? Readable.from([source]) : source, writeStream);
+            await new Promise((resolve) => writeStream.isClosed ? resolve() : writeStream.once('close', resolve));
+            lease.release();
+        }
+        catch (error) {
+            writeStream.destroy();
+            lease.release(lease.connection.broken);
+            throw error;
+        }
+    }
+
+    // Long transfers of file contents: no operation timeout, and they do not take operation sessions
+    async transfer(operation, remotePath, options = {}) {
+        try {
+            return await this.transferPool.run(operation, options);
+        }
+        catch (error) {
+            throw this.normalizeError(error, remotePath);
+        }
+    }
+
+    // Whole files, admin downloads included
+    async get(remotePath) {
+        return await this.transfer((client) => client.get(remotePath), remotePath, { idempotent: true });
+    }
+
+    // Inclusive `end`, like fs.createReadStream. Returns synchronously; data
+    // starts flowing once a session is available.
+    getStream(remotePath, { start, end } = {}) {
+        const output = new PassThrough();
+        this.transferPool.acquire()
+            .then((lease) => {
+                if (output.destroyed) {
+                    return lease.release();
+                }
+                const input = lease.client.createReadStream(remotePath, { start, end });
+                let released = false;
+                const release = () => {
+                    if (!released) {
+                        released = true;
+                        lease.release(lease.connection.broken);
+                    }
+                };
+                input.on('close', release);
+                input.on('end', release);
+                input.on('error', (error) => {
+                    release();
+                    output.destroy(this.normalizeError(error, remotePath));
+                });
+                // Client went away: close the remote handle and give the session back
+                output.on('close', () => {
+                    input.destroy();
+                    release();
+                });
+                input.pipe(output);
+            })
+            .catch((error) => output.destroy(error));
+        return output;
+    }
+
+    async list(remotePath) {
+        const list = await this.run((client) => client.list(remotePath), remotePath, { idempotent: true });
+        return list
+            .filter((item) => item.name !== '.' && item.name !== '..')
+            .map((item) => ({
+                name: item.name,
+                type: item.type === 'd' ? 'directory' : 'file',
+                size: item.size,
+                modifyTime: item.modifyTime,
+            }));
+    }
+
+    async stat(remotePath) {
+        const stat = await this.run((client) => client.stat(remotePath), remotePath, { idempotent: true });
+        return {
+            size: stat.size,
+            modifyTime: stat.modifyTime,
+            isDirectory: stat.isDirectory,
+        };
+    }
+
+    async delete(remotePath, { recursive = false } = {}) {
+        const stat = await this.stat(remotePath);
+        if (stat.isDirectory) {
+            // Recursive deletes of big folders can legitimately take a while
+            await this.run((client) => client.rmdir(remotePath, recursive), remotePath, { timeout: 0 });
+        }
+        else {
+            await this.run((client) => client.delete(remotePath), remotePath);
+        }
+    }
+
+    async mkdir(remotePath) {
+        await this.run((client) => client.mkdir(remotePath, true), remotePath, { idempotent: true });
+    }
+
+    async rename(fromPath, toPath) {
+        await this.mkdir(path.dirname(toPath));
+        await this.run((client) => client.rename(fromPath, toPath), fromPath);
+    }
+
+    // No server-side copy over SFTP: each file is streamed through a single session
+    async copy(fromPath, toPath) {
+        const stat = await this.stat(fromPath);
+        if (!stat.isDirectory) {
+            await this.mkdir(path.dirname(toPath));
+            await this.transfer((client) => client.rcopy(fromPath, toPath), fromPath);
+            return;
+        }
+        await this.mkdir(toPath);
+        for (const item of await this.list(fromPath)) {
+            await this.copy(path.posix.join(fromPath, item.name), path.posix.join(toPath, item.name));
+        }
+    }
+
+    async exists(remotePath) {
+        return await this.run((client) => client.exists(remotePath), remotePath, { idempotent: true }) !== false;
+    }
+
+    // Resolves symlinks on the server; null when the path does not exist
+    async realpath(remotePath) {
+        const resolved = await this.run((client) => client.realPath(remotePath), remotePath, { idempotent: true });
+        return resolved || null;
+    }
+
+    normalizeError(error, remotePath) {
+        if (isNotFoundError(error) || error?.code === 2 || /No such file/i.test(error?.message || '')) {
+            return notFoundError(remotePath, error);
+        }
+        return error;
+    }
+}
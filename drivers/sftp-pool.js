@@ -0,0 +1,307 @@
+import SftpClient from 'ssh2-sftp-client';
+import { currentSignal } from '../request-context.js';
+
+export class PoolTimeoutError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PoolTimeoutError';
+        this.code = 'ETIMEDOUT';
+    }
+}
+
+export class PoolAbortError extends Error {
+    constructor(reason) {
+        super(reason instanceof Error ? reason.message : 'Operation cancelled');
+        this.name = 'AbortError';
+        this.code = 'ABORT_ERR';
+    }
+}
+
+// Errors that mean the SSH session itself is gone, as opposed to a failed operation
+function isConnectionError(error) {
+    if (!error) {
+        return false;
+    }
+    if (['ERR_NOT_CONNECTED', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT'].includes(error.code)) {
+        return true;
+    }
+    return /not connected|no sftp connection|connection (lost|closed|ended)|channel (closed|open failure)|socket|keepalive/i.test(error.message || '');
+}
+
+/**
+ * Small pool of SFTP sessions with liveness checks, automatic reconnection and
+ * a FIFO queue. Operations get a timeout and are cancelled when the HTTP
+ * client that triggered them disconnects.
+ */
+export class SftpPool {
+    constructor({
+        connectOptions,
+        size = 3,
+        acquireTimeout = 60000,
+        operationTimeout = 120000,
+        livenessInterval = 30000,
+    }) {
+        this.connectOptions = connectOptions;
+        this.size = size;
+        this.acquireTimeout = acquireTimeout;
+        this.operationTimeout = operationTimeout;
+        this.livenessInterval = livenessInterval;
+        this.connections = new Set();
+        this.idle = [];
+        this.waiting = [];
+        this.pending = 0;
+        this.counters = {
+            created: 0,
+            destroyed: 0,
+            completed: 0,
+            failed: 0,
+            retried: 0,
+            timeouts: 0,
+            cancelled: 0,
+        };
+    }
+
+    stats() {
+        return {
+            size: this.size,
+            open: this.connections.size,
+            connecting: this.pending,
+            busy: this.connections.size - this.idle.length,
+            idle: this.idle.length,
+            waiting: this.waiting.length,
+            ...this.counters,
+        };
+    }
+
+    async createConnection() {
+        const client = new SftpClient();
+        const connection = { client, broken: false, lastChecked: Date.now() };
+        const markBroken = () => {
+            connection.broken = true;
+        };
+        this.pending++;
+        try {
+            await client.connect(this.connectOptions);
+        }
+        finally {
+            this.pending--;
+        }
+        // Any of these means the session must not be reused
+        client.on('error', markBroken);
+        client.on('end', markBroken);
+        client.on('close', markBroken);
+        this.connections.add(connection);
+        this.counters.created++;
+        console.log(`✅ SFTP connection established (${this.connections.size}/${this.size})`);
+        return connection;
+    }
+
+    destroyConnection(connection) {
+        if (!this.connections.delete(connection)) {
+            return;
+        }
+        connection.broken = true;
+        this.idle = this.idle.filter((item) => item !== connection);
+        this.counters.destroyed++;
+        connection.client.end().catch(() => { });
+        console.log(`🔌 SFTP connection dropped (${this.connections.size}/${this.size})`);
+    }
+
+    // Cheap round-trip to make sure an idle session still answers
+    async isAlive(connection) {
+        if (connection.broken) {
+            return false;
+        }
+        if (Date.now() - connection.lastChecked < this.livenessInterval) {
+            return true;
+        }
+        try {
+            await withTimeout(connection.client.cwd(), 10000, 'SFTP liveness check timed out');
+            connection.lastChecked = Date.now();
+            return true;
+        }
+        catch {
+            return false;
+        }
+    }
+
+    async takeIdle() {
+        while (this.idle.length > 0) {
+            const connection = this.idle.pop();
+            if (await this.isAlive(connection)) {
+                return connection;
+            }
+            this.destroyConnection(connection);
+        }
+        return null;
+    }
+
+    /**
+     * Get a connection, waiting in the queue if every session is busy.
+     * Resolves to a lease; call `release()` (or `release(true)` to drop the session).
+     */
+    async acquire({ signal = currentSignal(), timeout = this.acquireTimeout } = {}) {
+        if (signal?.aborted) {
+            this.counters.cancelled++;
+            throw new PoolAbortError(signal.reason);
+        }
+
+        const idle = await this.takeIdle();
+        if (idle) {
+            return this.lease(idle);
+        }
+        if (this.connections.size + this.pending < this.size) {
+            return this.lease(await this.createConnection());
+        }
+
+        return await new Promise((resolve, reject) => {
+            const waiter = {
+                resolve,
+                reject,
+                cleanup: () => {
+                    clearTimeout(waiter.timer);
+                    signal?.removeEventListener('abort', waiter.onAbort);
+                    this.waiting = this.waiting.filter((item) => item !== waiter);
+                },
+            };
+            waiter.timer = setTimeout(() => {
+                waiter.cleanup();
+                this.counters.timeouts++;
+                reject(new PoolTimeoutError(`No SFTP connection available after ${timeout} ms`));
+            }, timeout);
+            waiter.onAbort = () => {
+                waiter.cleanup();
+                this.counters.cancelled++;
+                reject(new PoolAbortError(signal.reason));
+            };
+            signal?.addEventListener('abort', waiter.onAbort, { once: true });
+            this.waiting.push(waiter);
+        });
+    }
+
+    lease(connection) {
+        let released = false;
+        return {
+            client: connection.client,
+            connection,
+            release: (drop = false) => {
+                if (released) {
+                    return;
+                }
+                released = true;
+                if (drop || connection.broken) {
+                    this.destroyConnection(connection);
+                }
+                else {
+                    connection.lastChecked = Date.now();
+                    this.idle.push(connection);
+                }
+                this.dispatch();
+            },
+        };
+    }
+
+    // Hand a freed (or newly creatable) connection to the next waiter
+    dispatch() {
+        if (this.waiting.length === 0) {
+            return;
+        }
+        const waiter = this.waiting[0];
+        (async () => {
+            const connection = await this.takeIdle()
+                || (this.connections.size + this.pending < this.size ? await this.createConnection() : null);
+            if (!connection) {
+                return;
+            }
+            if (!this.waiting.includes(waiter)) {
+                // Waiter timed out or was cancelled meanwhile
+                this.idle.push(connection);
+                return this.dispatch();
+            }
+            waiter.cleanup();
+            waiter.resolve(this.lease(connection));
+        })().catch((error) => {
+            if (this.waiting.includes(waiter)) {
+                waiter.cleanup();
+                waiter.reject(error);
+            }
+        });
+    }
+
+    /**
+     * Run `operation(client)` on a pooled connection with a timeout.
+     * Idempotent operations are retried once on a fresh session when the
+     * connection dropped underneath them.
+     */
+    async run(operation, { idempotent = false, timeout = this.operationTimeout, signal = currentSignal() } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            const lease = await this.acquire({ signal });
+            try {
+                const result = await withTimeout(operation(lease.client), timeout, `SFTP operation timed out after ${timeout} ms`, signal);
+                lease.release();
+                this.counters.completed++;
+                return result;
+            }
+            catch (error) {
+                // A timed out or cancelled operation may still be running on the channel
+                const drop = lease.connection.broken || isConnectionError(error)
+                    || error instanceof PoolTimeoutError || error instanceof PoolAbortError;
+                lease.release(drop);
+                if (error instanceof PoolTimeoutError) {
+                    this.counters.timeouts++;
+                }
+                else if (error instanceof PoolAbortError) {
+                    this.counters.cancelled++;
+                }
+                if (idempotent && attempt === 0 && drop && !(error instanceof PoolAbortError)) {
+                    this.counters.retried++;
+                    console.warn('♻️ SFTP connection lost, retrying on a fresh session:', error.message);
+                    continue;
+                }
+                this.counters.failed++;
+                throw error;
+            }
+        }
+    }
+
+    async drain() {
+        for (const waiter of [...this.waiting]) {
+            waiter.cleanup();
+            waiter.reject(new Error('SFTP pool is shutting down'));
+        }
+        for (const connection of [...this.connections]) {
+            this.destroyConnection(connection);
+        }
+    }
+}
+
+function withTimeout(promise, timeout, message, signal) {
+    if (!timeout && !signal) {
+        return promise;
+    }
+    return new Promise((resolve, reject) => {
+        const timer = timeout ? setTimeout(() => {
+            finish();
+            reject(new PoolTimeoutError(message));
+        }, timeout) : null;
+        const onAbort = () => {
+            finish();
+            reject(new PoolAbortError(signal.reason));
+        };
+        const finish = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        };
+        if (signal?.aborted) {
+            return onAbort();
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+        promise.then((value) => {
+            finish();
+            resolve(value);
+        }, (error) => {
+            finish();
+            reject(error);
+        });
+    });
+}
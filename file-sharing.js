@@ -1,6 +1,7 @@
 import { createClient } from '@supabase/supabase-js';
 import bcrypt from 'bcrypt';
 import crypto from 'crypto';
+import { reservePasswordAttempt, releasePasswordAttempt, recordPasswordFailure, recordPasswordSuccess } from './share-throttle.js';
 // Helper function to get Supabase admin client (uses service key, bypasses RLS)
 function getSupabaseAdminClient() {
     if (!process.env.VITE_SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
@@ -13,6 +14,15 @@ function getSupabaseAdminClient() {
         }
     });
 }
+// bcrypt ignores everything after 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+export class ShareLinkError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ShareLinkError';
+        this.status = status;
+    }
+}
 /**
  * Generate a secure random token for share links
  */
@@ -32,12 +42,7 @@ export async function hashPassword(password) {
 export async function verifyPassword(password, hash) {
     return bcrypt.compare(password, hash);
 }
-/**
- * Create a new share link in the database
- */
-export async function createShareLink(options) {
-    const supabase = getSupabaseAdminClient();
-    // Generate unique token
+async function generateUniqueShareToken(supabase) {
     let token = generateShareToken();
     let isUnique = false;
     // Ensure token is unique (very unlikely to collide, but check anyway)
@@ -54,6 +59,15 @@ export async function createShareLink(options) {
             token = generateShareToken();
         }
     }
+    return token;
+}
+/**
+ * Create a new share link in the database
+ */
+export async function createShareLink(options) {
+    const supabase = getSupabaseAdminClient();
+    // Generate unique token
+    const token = await generateUniqueShareToken(supabase);
     // Calculate expiration date if specified
     let expiresAt = null;
     if (options.expiresIn) {
@@ -70,6 +84,8 @@ export async function createShareLink(options) {
         .from('shared_links')
         .insert({
         file_path: options.filePath,
+        // Hand-picked files: file_path is then the folder they have in common
+        file_paths: options.filePaths || null,
         file_name: options.fileName,
         file_size: options.fileSize,
         token,
@@ -103,9 +119,11 @@ export async function getShareLink(token) {
     return data;
 }
 /**
- * Validate if a share link can be accessed
+ * Validate if a share link can be accessed. Password attempts are throttled
+ * per client IP (`clientIp`): throttled results carry `retryAfter` (seconds).
+ * Without a password, nothing is checked and no attempt is counted.
  */
-export async function validateShareLink(token, password) {
+export async function validateShareLink(token, password, { clientIp } = {}) {
     const link = await getShareLink(token);
     if (!link) {
         return { valid: false, reason: 'Link not found' };
@@ -130,40 +148,113 @@ export async function validateShareLink(token, password) {
         if (!password) {
             return { valid: false, reason: 'Password required' };
         }
-        const passwordValid = await verifyPassword(password, link.password_hash);
-        if (!passwordValid) {
-            return { valid: false, reason: 'Invalid password' };
+        const attempt = await reservePasswordAttempt(token, clientIp);
+        if (!attempt.allowed) {
+            return { valid: false, reason: attempt.reason, throttled: true, retryAfter: attempt.retryAfter };
+        }
+        try {
+            if (!(await verifyPassword(password, link.password_hash))) {
+                // The link comes back so the failed attempt can be logged
+                return { valid: false, reason: 'Invalid password', link, retryAfter: recordPasswordFailure(token, clientIp) };
+            }
+            recordPasswordSuccess(token, clientIp);
+        }
+        finally {
+            releasePasswordAttempt(token, clientIp);
         }
     }
     return { valid: true, link };
 }
-/**
- * Increment the download count for a share link
- */
-export async function incrementDownloadCount(token) {
+// Download slots: a download reserves one before the body is sent, and it only
+// becomes a counted download once the whole body has been written. Each
+// reservation is an entry of download_reservations ({ id, expiresAt }), valid
+// for SHARE_DOWNLOAD_RESERVATION_HOURS: one that was never settled (its server
+// stopped) expires on its own and is pruned by the next update. Every change is
+// a compare-and-set on download_count and download_reservations, so concurrent
+// downloads cannot get past max_downloads.
+const MAX_COUNT_ATTEMPTS = 10;
+function reservationTtlMs() {
+    return parseFloat(process.env.SHARE_DOWNLOAD_RESERVATION_HOURS || '6') * 60 * 60 * 1000;
+}
+async function updateDownloadCounts(linkId, apply) {
     const supabase = getSupabaseAdminClient();
-    // First get current count
-    const { data: current, error: fetchError } = await supabase
-        .from('shared_links')
-        .select('download_count')
-        .eq('token', token)
-        .single();
-    if (fetchError) {
-        console.error('Error fetching download count:', fetchError);
-        throw new Error('Failed to fetch download count');
+    for (let attempt = 0; attempt < MAX_COUNT_ATTEMPTS; attempt++) {
+        const { data: current, error: fetchError } = await supabase
+            .from('shared_links')
+            .select('id, download_count, download_reservations, max_downloads')
+            .eq('id', linkId)
+            .maybeSingle();
+        if (fetchError) {
+            console.error('Error fetching download count:', fetchError);
+            throw new Error('Failed to fetch download count');
+        }
+        if (!current) {
+            return { updated: false, reason: 'Link not found' };
+        }
+        const downloadCount = current.download_count || 0;
+        const stored = current.download_reservations || [];
+        const now = Date.now();
+        const reservations = stored.filter((reservation) => reservation.expiresAt > now);
+        const next = apply({ downloadCount, reservations, maxDownloads: current.max_downloads });
+        if (next.reason) {
+            return { updated: false, reason: next.reason };
+        }
+        const { data, error } = await supabase
+            .from('shared_links')
+            .update(next)
+            .eq('id', linkId)
+            .eq('download_count', downloadCount)
+            .eq('download_reservations', JSON.stringify(stored))
+            .select('id');
+        if (error) {
+            console.error('Error updating download count:', error);
+            throw new Error('Failed to update download count');
+        }
+        if (data && data.length > 0) {
+            return { updated: true };
+        }
+        // Another download changed the counters in between: read them again
     }
-    // Then update with incremented value
-    const { error } = await supabase
-        .from('shared_links')
-        .update({
-        download_count: (current?.download_count || 0) + 1,
+    throw new Error('Failed to update download count: too many concurrent downloads');
+}
+/**
+ * Reserve a download slot before sending a file. `{ reserved: false, reason }`
+ * when the limit is reached (downloads in progress count towards it), else
+ * `{ reserved: true, id }` to settle it with.
+ */
+export async function reserveDownload(linkId) {
+    const id = crypto.randomUUID();
+    const result = await updateDownloadCounts(linkId, ({ downloadCount, reservations, maxDownloads }) => {
+        if (maxDownloads !== null && downloadCount >= maxDownloads) {
+            return { reason: 'Download limit reached' };
+        }
+        if (maxDownloads !== null && downloadCount + reservations.length >= maxDownloads) {
+            return { reason: 'The remaining downloads are in progress, please try again later' };
+        }
+        return {
+            download_reservations: [...reservations, { id, expiresAt: Date.now() + reservationTtlMs() }],
+        };
+    });
+    return result.updated ? { reserved: true, id } : { reserved: false, reason: result.reason };
+}
+/**
+ * The whole file was sent: the reserved slot becomes a counted download (even
+ * if the transfer took so long that the reservation expired)
+ */
+export async function confirmDownload(linkId, reservationId) {
+    await updateDownloadCounts(linkId, ({ downloadCount, reservations }) => ({
+        download_count: downloadCount + 1,
+        download_reservations: reservations.filter((reservation) => reservation.id !== reservationId),
         last_accessed_at: new Date().toISOString(),
-    })
-        .eq('token', token);
-    if (error) {
-        console.error('Error incrementing download count:', error);
-        throw new Error('Failed to update download count');
-    }
+    }));
+}
+/**
+ * The transfer failed or was aborted: give the slot back
+ */
+export async function releaseDownload(linkId, reservationId) {
+    await updateDownloadCounts(linkId, ({ reservations }) => ({
+        download_reservations: reservations.filter((reservation) => reservation.id !== reservationId),
+    }));
 }
 /**
  * Get all share links created by a user
@@ -181,6 +272,114 @@ export async function getUserShareLinks(userId) {
     }
     return data;
 }
+/**
+ * Get one of a user's share links by id (null if it is not theirs)
+ */
+export async function getUserShareLink(linkId, userId) {
+    const supabase = getSupabaseAdminClient();
+    const { data, error } = await supabase
+        .from('shared_links')
+        .select('*')
+        .eq('id', linkId)
+        .eq('created_by', userId)
+        .maybeSingle();
+    if (error) {
+        console.error('Error getting share link:', error);
+        throw new Error('Failed to get share link');
+    }
+    return data;
+}
+// undefined: leave as is; null: no expiry; otherwise a future date
+function readExpiry({ expiresIn, expiresAt }) {
+    if (expiresIn !== undefined && expiresAt !== undefined) {
+        throw new ShareLinkError('Give either expiresIn or expiresAt, not both');
+    }
+    if (expiresIn === undefined && expiresAt === undefined) {
+        return undefined;
+    }
+    if (expiresIn === null || expiresAt === null) {
+        return null;
+    }
+    const date = expiresIn !== undefined ? new Date(Date.now() + Number(expiresIn)) : new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        throw new ShareLinkError('The expiry date must be in the future');
+    }
+    return date.toISOString();
+}
+/**
+ * Change one of a user's share links. Fields left undefined are kept:
+ * - expiresIn (ms from now) or expiresAt (ISO date); null removes the expiry
+ * - password: a new password; null or '' removes it
+ * - maxDownloads: a positive integer; null removes the limit
+ * - resetDownloadCount: start counting downloads from zero again
+ * - isActive: reactivate (or deactivate) the link
+ * - rotateToken: give the link a new URL; the old one stops working, the
+ *   link's settings and analytics stay
+ */
+export async function updateShareLink(linkId, userId, changes = {}) {
+    const update = {};
+    const expiresAt = readExpiry(changes);
+    if (expiresAt !== undefined) {
+        update.expires_at = expiresAt;
+    }
+    if (changes.password !== undefined) {
+        if (changes.password !== null && typeof changes.password !== 'string') {
+            throw new ShareLinkError('Password must be a string');
+        }
+        if (changes.password && Buffer.byteLength(changes.password) > MAX_PASSWORD_BYTES) {
+            throw new ShareLinkError(`Password must be at most ${MAX_PASSWORD_BYTES} bytes`);
+        }
+        update.password_hash = changes.password ? await hashPassword(changes.password) : null;
+    }
+    if (changes.maxDownloads !== undefined) {
+        if (changes.maxDownloads !== null && (!Number.isInteger(changes.maxDownloads) || changes.maxDownloads < 1)) {
+            throw new ShareLinkError('maxDownloads must be a positive integer or null');
+        }
+        update.max_downloads = changes.maxDownloads;
+    }
+    if (changes.resetDownloadCount === true) {
+        update.download_count = 0;
+    }
+    if (changes.isActive !== undefined) {
+        if (typeof changes.isActive !== 'boolean') {
+            throw new ShareLinkError('isActive must be true or false');
+        }
+        update.is_active = changes.isActive;
+    }
+    if (Object.keys(update).length === 0 && changes.rotateToken !== true) {
+        throw new ShareLinkError('Nothing to update');
+    }
+    const link = await getUserShareLink(linkId, userId);
+    if (!link) {
+        throw new ShareLinkError('Share link not found', 404);
+    }
+    // Reactivating a link that would still be unusable is almost certainly a mistake
+    if (update.is_active === true) {
+        const expiry = update.expires_at !== undefined ? update.expires_at : link.expires_at;
+        if (expiry && new Date(expiry) <= new Date()) {
+            throw new ShareLinkError('This link has expired: give it a new expiry date to reactivate it');
+        }
+    }
+    const supabase = getSupabaseAdminClient();
+    if (changes.rotateToken === true) {
+        update.token = await generateUniqueShareToken(supabase);
+    }
+    const { data, error } = await supabase
+        .from('shared_links')
+        .update(update)
+        .eq('id', link.id)
+        .eq('created_by', userId)
+        .select()
+        .maybeSingle();
+    if (error) {
+        console.error('Error updating share link:', error);
+        throw new Error('Failed to update share link');
+    }
+    if (!data) {
+        throw new ShareLinkError('Share link not found', 404);
+    }
+    return data;
+}
 /**
  * Deactivate a share link (soft delete)
  */
@@ -211,6 +410,109 @@ export async function deleteShareLink(linkId, userId) {
         throw new Error('Failed to delete share link');
     }
 }
+// Literal text for a LIKE pattern
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+}
+/**
+ * Point share links at a file or folder's new location after a move/rename.
+ * Links to anything inside a moved folder follow it too.
+ */
+export async function moveShareLinks(fromPath, toPath) {
+    const supabase = getSupabaseAdminClient();
+    // Older links may have been stored without the leading slash
+    const barePath = fromPath.replace(/^\/+/, '');
+    // Prefix matches only; links to a set of files are moved by moveShareLinkFiles
+    const linksUnder = (filter) => filter(supabase
+        .from('shared_links')
+        .select('id, file_path')
+        .is('file_paths', null));
+    const results = await Promise.all([
+        linksUnder((query) => query.in('file_path', [fromPath, barePath])),
+        linksUnder((query) => query.like('file_path', `${escapeLike(fromPath)}/%`)),
+        linksUnder((query) => query.like('file_path', `${escapeLike(barePath)}/%`)),
+    ]);
+    const failed = results.find((result) => result.error);
+    if (failed) {
+        console.error('Error finding share links to move:', failed.error);
+        throw new Error('Failed to update share links');
+    }
+    const data = results.flatMap((result) => result.data || []);
+    let updated = 0;
+    for (const link of data) {
+        const linkPath = `/${link.file_path.replace(/^\/+/, '')}`;
+        const update = { file_path: toPath + linkPath.slice(fromPath.length) };
+        if (linkPath === fromPath) {
+            update.file_name = toPath.split('/').pop();
+        }
+        const { error: updateError } = await supabase
+            .from('shared_links')
+            .update(update)
+            .eq('id', link.id);
+        if (updateError) {
+            console.error('Error updating share link path:', updateError);
+            throw new Error('Failed to update share links');
+        }
+        updated++;
+    }
+    updated += await moveShareLinkFiles(supabase, fromPath, toPath);
+    return updated;
+}
+/**
+ * Deepest folder that contains all of `filePaths`
+ */
+export function commonFolder(filePaths) {
+    const folders = filePaths.map((filePath) => filePath.split('/').filter(Boolean).slice(0, -1));
+    const common = [];
+    for (let i = 0; folders.every((folder) => i < folder.length && folder[i] === folders[0][i]); i++) {
+        common.push(folders[0][i]);
+    }
+    return `/${common.join('/')}`;
+}
+// Links to a set of files follow each file. Their file_path is the folder
+// holding all the files, so only links whose folder contains the moved path,
+// or is inside it, can be affected.
+async function moveShareLinkFiles(supabase, fromPath, toPath) {
+    const segments = fromPath.split('/').filter(Boolean);
+    const folders = segments.map((_, i) => `/${segments.slice(0, i).join('/')}`);
+    const linksWithFiles = (filter) => filter(supabase
+        .from('shared_links')
+        .select('id, file_paths')
+        .not('file_paths', 'is', null));
+    const results = await Promise.all([
+        linksWithFiles((query) => query.in('file_path', [...folders, fromPath])),
+        linksWithFiles((query) => query.like('file_path', `${escapeLike(fromPath)}/%`)),
+    ]);
+    const failed = results.find((result) => result.error);
+    if (failed) {
+        console.error('Error finding share links to move:', failed.error);
+        throw new Error('Failed to update share links');
+    }
+    let updated = 0;
+    for (const link of results.flatMap((result) => result.data || [])) {
+        let changed = false;
+        const filePaths = link.file_paths.map((filePath) => {
+            if (filePath !== fromPath && !filePath.startsWith(`${fromPath}/`)) {
+                return filePath;
+            }
+            changed = true;
+            return toPath + filePath.slice(fromPath.length);
+        });
+        if (!changed) {
+            continue;
+        }
+        const { error: updateError } = await supabase
+            .from('shared_links')
+            .update({ file_paths: filePaths, file_path: commonFolder(filePaths) })
+            .eq('id', link.id);
+        if (updateError) {
+            console.error('Error updating share link paths:', updateError);
+            throw new Error('Failed to update share links');
+        }
+        updated++;
+    }
+    return updated;
+}
 /**
  * Clean up expired links (can be called periodically)
  */
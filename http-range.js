@@ -0,0 +1,171 @@
+// HTTP Range / conditional request helpers for the streaming routes.
+// Bytes are read straight from storage, so only the requested slice ever
+// transits through the server.
+
+/**
+ * Build a strong ETag from the file size and modification time. It has to be
+ * strong: If-Range only accepts strong validators (RFC 9110 13.1.5).
+ */
+export function buildEtag(stat) {
+    const mtime = Math.floor(Number(stat.modifyTime) || 0);
+    return `"${stat.size.toString(16)}-${mtime.toString(16)}"`;
+}
+
+/**
+ * Parse a `Range: bytes=...` header against a file size.
+ * Returns null when the header should be ignored (absent, malformed, not bytes
+ * or several ranges), -1 when the range cannot be satisfied, or { start, end }
+ * with an inclusive end offset.
+ */
+export function parseRangeHeader(header, size) {
+    if (!header || typeof header !== 'string') {
+        return null;
+    }
+    const match = header.trim().match(/^bytes=(.+)$/i);
+    if (!match) {
+        return null;
+    }
+    const ranges = match[1].split(',').map((part) => part.trim());
+    // Media elements only ever ask for a single range; serving the whole
+    // body for multipart requests is allowed by RFC 9110.
+    if (ranges.length !== 1) {
+        return null;
+    }
+    const spec = ranges[0].match(/^(\d*)-(\d*)$/);
+    if (!spec || (spec[1] === '' && spec[2] === '')) {
+        return null;
+    }
+    let start;
+    let end;
+    if (spec[1] === '') {
+        // Suffix range: last N bytes
+        const suffixLength = parseInt(spec[2], 10);
+        if (suffixLength === 0) {
+            return -1;
+        }
+        start = Math.max(size - suffixLength, 0);
+        end = size - 1;
+    }
+    else {
+        start = parseInt(spec[1], 10);
+        end = spec[2] === '' ? size - 1 : Math.min(parseInt(spec[2], 10), size - 1);
+    }
+    if (start >= size || start > end) {
+        return -1;
+    }
+    return { start, end };
+}
+
+/**
+ * Check an If-Range precondition. A stale validator means the client must get
+ * the full representation instead of a partial one. ETags are compared
+ * strongly, so a weak validator never matches and gets the full file too; a
+ * date only matches when it is exactly Last-Modified.
+ */
+export function isIfRangeFresh(ifRange, etag, lastModified) {
+    if (!ifRange) {
+        return true;
+    }
+    if (ifRange.startsWith('W/"')) {
+        return false;
+    }
+    if (ifRange.startsWith('"')) {
+        return !etag.startsWith('W/') && ifRange.trim() === etag;
+    }
+    const since = Date.parse(ifRange);
+    return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) === Math.floor(since / 1000);
+}
+
+// If-None-Match uses the weak comparison
+function matchesIfNoneMatch(header, etag) {
+    if (!header) {
+        return false;
+    }
+    if (header.trim() === '*') {
+        return true;
+    }
+    const bare = etag.replace(/^W\//, '');
+    return header.split(',').some((candidate) => candidate.trim().replace(/^W\//, '') === bare);
+}
+
+/**
+ * Send a file with Range, If-Range and If-None-Match support.
+ *
+ * `stat` must provide `size` and `modifyTime` (ms), and `openStream` is called
+ * with `{ start, end }` (inclusive) to get a readable stream for the slice.
+ */
+export function sendRangedFile(req, res, { stat, openStream, contentType, disposition, cacheControl }) {
+    const etag = buildEtag(stat);
+    const lastModified = new Date(Number(stat.modifyTime) || Date.now());
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+    if (cacheControl) {
+        res.setHeader('Cache-Control', cacheControl);
+    }
+
+    if (matchesIfNoneMatch(req.headers['if-none-match'], etag)) {
+        return res.status(304).end();
+    }
+
+    let range = null;
+    if (req.headers.range && isIfRangeFresh(req.headers['if-range'], etag, lastModified)) {
+        range = parseRangeHeader(req.headers.range, stat.size);
+    }
+
+    if (range === -1) {
+        res.setHeader('Content-Range', `bytes */${stat.size}`);
+        return res.status(416).end();
+    }
+
+    res.setHeader('Content-Type', contentType || 'application/octet-stream');
+    if (disposition) {
+        res.setHeader('Content-Disposition', disposition);
+    }
+
+    let start = 0;
+    let end = stat.size - 1;
+    if (range) {
+        start = range.start;
+        end = range.end;
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+    }
+    else {
+        res.status(200);
+    }
+    res.setHeader('Content-Length', stat.size === 0 ? 0 : end - start + 1);
+
+    if (req.method === 'HEAD' || stat.size === 0) {
+        return res.end();
+    }
+
+    const stream = openStream({ start, end });
+    // Stop reading from storage as soon as the player seeks away
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            stream.destroy();
+        }
+    });
+    stream.on('error', (error) => {
+        console.error('❌ Range stream error:', error);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+}
+
+/**
+ * Whether a finished response carried the whole file: a 200, or a 206 whose
+ * range runs from the first byte to the last. Used to count downloads.
+ */
+export function sentWholeFile(res) {
+    if (!res.writableFinished) {
+        return false;
+    }
+    if (res.statusCode === 200) {
+        return true;
+    }
+    const match = res.statusCode === 206 && /^bytes 0-(\d+)\/(\d+)$/.exec(String(res.getHeader('Content-Range') || ''));
+    return !!match && Number(match[1]) === Number(match[2]) - 1;
+}
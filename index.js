@@ -4,25 +4,46 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import { fileTypeFromBuffer } from 'file-type';
 import { createClient } from '@supabase/supabase-js';
-import { O2SwitchStorage } from './sftp.js';
-import adminStorageRouter from './admin-storage.js';
+import { createStreamingStorage, handleUploadErrors, UploadError } from './streaming-upload.js';
+import { createTusRouter, cleanupExpiredUploads, TUS_EXPOSED_HEADERS } from './tus-upload.js';
+import { abortOnDisconnect } from './request-context.js';
+import { analyzeAudioHead, assertAudioSpec, createAudioSpecCheck, getAudioSpecRules } from './audio-analysis.js';
+import { FileStorage } from './storage.js';
+import { sendWaveform, WaveformError } from './waveform.js';
+import { PathError, storageErrorStatus } from './path-jail.js';
+import { parseSubmissionFields, reserveSubmission, completeSubmission, releaseSubmission, cleanupStaleReservations, } from './submissions.js';
+import adminStorageRouter, { cleanupExpiredTrash, rescanAdminIndex } from './admin-storage.js';
+import { UPLOAD_REFERENCES, findUploadReference, reconcileUploads } from './upload-gc.js';
 import shareRouter from './share-routes.js';
 import catalogueRouter from './catalogue-routes.js';
+import submissionRouter from './submission-routes.js';
+import uploadFileRouter from './upload-file-routes.js';
+import { createStudioRouter } from './studio-routes.js';
+import { STEM_PACK_TYPE, stemPackMaxFiles, stemPackMaxSize, createStemPackId, stemFileName, stemUploadName, commitStemReplacements, discardStemReplacements, withChecksum, describeFailures, getStemPack, saveStemPack, deleteStemPack, } from './stem-packs.js';
 dotenv.config({ path: '.env.local' });
 // Initialize Supabase client for server
 const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.VITE_SUPABASE_ANON_KEY);
 const app = express();
+// Behind a reverse proxy, client IPs (share link throttling and analytics) come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
 const PORT = process.env.PORT || 3001;
 // Configuration
 const MAX_DEMO_SIZE = parseInt(process.env.MAX_FILE_SIZE_DEMO || '262144000'); // 250 MB
 const MAX_ACTIVE_SUBMISSIONS = parseInt(process.env.MAX_ACTIVE_SUBMISSIONS || '3');
+const MAX_STUDIO_SIZE = 500 * 1024 * 1024; // 500 MB
 const ALLOWED_DEMO_MIMES = ['audio/wav', 'audio/x-wav', 'audio/aiff', 'audio/x-aiff'];
+const UPLOAD_TYPES = ['label-submissions', 'studio-requests'];
 // Middleware
 app.use(cors({
     origin: process.env.VITE_APP_URL || 'http://localhost:5173',
     credentials: true,
+    exposedHeaders: TUS_EXPOSED_HEADERS,
 }));
 app.use(express.json({ limit: '10gb' })); // Support large files for admin storage
+app.use(abortOnDisconnect); // Cancel queued storage operations when the client goes away
 // Admin Storage routes (replaces NextCloud)
 app.use('/api/nextcloud', adminStorageRouter); // Keep old route for backwards compatibility
 app.use('/api/admin-storage', adminStorageRouter); // New route name
@@ -31,13 +52,10 @@ app.use('/api/share', shareRouter); // Admin routes: /api/share/create, /api/sha
 app.use('/api/shared', shareRouter); // Public routes: /api/shared/:token, /api/shared/:token/download
 // Catalogue management routes (artists & releases)
 app.use('/api/catalogue', catalogueRouter);
-// Multer configuration pour gérer les fichiers volumineux
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: {
-        fileSize: 500 * 1024 * 1024, // 500 MB max (pour studio requests)
-    },
-});
+// Demo review workflow (A&R) and artists' own submissions; POST /api/submissions is below
+app.use('/api/submissions', submissionRouter);
+// Demo / studio files, through signed URLs only
+app.use('/api/files', uploadFileRouter);
 // Helper functions
 async function getUserFromToken(authHeader) {
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -50,15 +68,26 @@ async function getUserFromToken(authHeader) {
     }
     return user;
 }
-async function checkUserDemoQuota(userId) {
-    const { count, error } = await supabase
-        .from('label_submissions')
-        .select('*', { count: 'exact', head: true })
-        .eq('user_id', userId)
-        .in('status', ['pending', 'under_review']);
-    if (error)
-        throw error;
-    return (count || 0) < MAX_ACTIVE_SUBMISSIONS;
+// Helper function to get Supabase admin client (uses service key, bypasses RLS)
+function getSupabaseAdminClient() {
+    if (!process.env.VITE_SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+        throw new Error('Supabase admin credentials not configured');
+    }
+    return createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false
+        }
+    });
+}
+// Check if user is admin using admin client to bypass RLS
+async function isAdminUser(user) {
+    const supabaseAdmin = getSupabaseAdminClient();
+    const { data: profiles } = await supabaseAdmin
+        .from('profiles')
+        .select('*')
+        .eq('id', user.id);
+    return !!profiles && profiles.length > 0 && profiles[0].role === 'admin';
 }
 async function checkStudioAccess(userId) {
     const { data, error } = await supabase
@@ -76,75 +105,94 @@ function generateUniqueFilename(originalFilename) {
     const extension = originalFilename.split('.').pop();
     return `${timestamp}_${random}.${extension}`;
 }
-// Routes
-app.post('/api/upload', upload.single('file'), async (req, res) => {
+function isUploadType(type) {
+    return UPLOAD_TYPES.includes(type);
+}
+// Access checks, run before a single byte is stored. Demos are only stored
+// together with their submission row, under the quota reservation
+// (POST /api/submissions), so the plain upload routes refuse them.
+async function assertCanUpload(user, type) {
+    if (type === 'label-submissions') {
+        throw new UploadError('Demo submissions must be sent to POST /api/submissions');
+    }
+    const hasAccess = await checkStudioAccess(user.id);
+    if (!hasAccess) {
+        throw new UploadError('Access denied. Studio requests are only available to authorized clients.', 403);
+    }
+}
+// Magic-byte check on the first chunk of the file
+async function assertUploadFormat(head, type) {
+    const fileType = await fileTypeFromBuffer(head);
+    if (type === 'label-submissions') {
+        if (!fileType || !ALLOWED_DEMO_MIMES.includes(fileType.mime)) {
+            throw new UploadError('Invalid file format. Only WAV and AIFF are allowed for demos.');
+        }
+    }
+    else if (!fileType || !fileType.mime.startsWith('audio/')) {
+        throw new UploadError('Invalid file format. Only audio files are allowed.');
+    }
+}
+async function requireUser(req, res, next) {
     try {
-        // 1. Vérifier l'authentification
         const user = await getUserFromToken(req.headers.authorization);
         if (!user) {
             return res.status(401).json({ error: 'Unauthorized' });
         }
-        // 2. Vérifier le fichier
+        req.user = user;
+        next();
+    }
+    catch (error) {
+        next(error);
+    }
+}
+// Sample rate, bit depth, duration, levels and waveform peaks in the same pass;
+// AUDIO_SPEC_RULES can reject the file
+function createUploadAnalyzer(_req, target) {
+    return createAudioSpecCheck(getAudioSpecRules(target.type), { waveform: true });
+}
+// Players can also build the waveform on first request, so this is not fatal
+async function saveUploadWaveform(file) {
+    if (!file.waveform) {
+        return;
+    }
+    await FileStorage.getInstance()
+        .saveUploadWaveform(file.filename, file.type, file.waveform)
+        .catch((error) => console.warn('⚠️ Could not save waveform:', error.message));
+}
+// Multer streams the file straight to storage (o2switch SFTP by default, nothing buffered in RAM).
+// The `type` field must come before the file in the form (or be passed as ?type=).
+const upload = multer({
+    storage: createStreamingStorage({
+        async prepare(req, file) {
+            const type = req.body.type || req.query.type;
+            if (!isUploadType(type)) {
+                throw new UploadError('Invalid upload type');
+            }
+            await assertCanUpload(req.user, type);
+            const filename = generateUniqueFilename(file.originalname);
+            console.log(`📤 Starting upload: ${filename}`);
+            return { filename, type };
+        },
+        inspect: (head, _req, target) => assertUploadFormat(head, target.type),
+        analyze: createUploadAnalyzer,
+    }),
+    limits: {
+        fileSize: MAX_STUDIO_SIZE, // 500 MB max (pour studio requests)
+    },
+});
+// Routes
+app.post('/api/upload', requireUser, handleUploadErrors(upload.single('file')), async (req, res) => {
+    try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file provided' });
         }
-        const type = req.body.type;
-        if (!type || !['label-submissions', 'studio-requests'].includes(type)) {
-            return res.status(400).json({ error: 'Invalid upload type' });
-        }
-        const buffer = req.file.buffer;
-        // 3. Validation selon le type
-        if (type === 'label-submissions') {
-            // Vérifier le quota
-            const hasQuota = await checkUserDemoQuota(user.id);
-            if (!hasQuota) {
-                return res.status(403).json({
-                    error: 'Upload quota exceeded. Maximum 3 active demo submissions allowed. Please wait for your pending demos to be reviewed.',
-                });
-            }
-            // Vérifier la taille
-            if (buffer.length > MAX_DEMO_SIZE) {
-                return res.status(400).json({
-                    error: 'File too large. Maximum size is 250 MB.',
-                });
-            }
-            // Vérifier le type MIME
-            const fileType = await fileTypeFromBuffer(buffer);
-            if (!fileType || !ALLOWED_DEMO_MIMES.includes(fileType.mime)) {
-                return res.status(400).json({
-                    error: 'Invalid file format. Only WAV and AIFF are allowed for demos.',
-                });
-            }
-        }
-        else {
-            // Studio requests
-            const hasAccess = await checkStudioAccess(user.id);
-            if (!hasAccess) {
-                return res.status(403).json({
-                    error: 'Access denied. Studio requests are only available to authorized clients.',
-                });
-            }
-            // Vérifier que c'est un fichier audio
-            const fileType = await fileTypeFromBuffer(buffer);
-            if (!fileType || !fileType.mime.startsWith('audio/')) {
-                return res.status(400).json({
-                    error: 'Invalid file format. Only audio files are allowed.',
-                });
-            }
-        }
-        // 4. Générer un nom unique
-        const uniqueFilename = generateUniqueFilename(req.file.originalname);
-        console.log(`📤 Starting upload: ${uniqueFilename} (${(buffer.length / 1024 / 1024).toFixed(2)} MB)`);
-        // 5. Upload vers o2switch via SFTP (singleton réutilise la connexion)
-        const storage = O2SwitchStorage.getInstance();
-        await storage.connect();
-        const fileUrl = await storage.uploadFile(buffer, uniqueFilename, type);
-        console.log('✅ File uploaded successfully');
-        // 6. Retourner l'URL
+        console.log(`✅ File uploaded successfully (${(req.file.size / 1024 / 1024).toFixed(2)} MB)`);
+        await saveUploadWaveform(req.file);
         res.json({
             success: true,
-            url: fileUrl,
-            filename: uniqueFilename,
+            url: req.file.url,
+            filename: req.file.filename,
+            analysis: req.file.analysis,
         });
     }
     catch (error) {
@@ -154,15 +202,348 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
         });
     }
 });
+// Demo submission in one request: metadata fields first, then the file.
+// The quota slot is reserved (as an 'uploading' row) before the file is stored;
+// if anything fails afterwards, the file and the reservation are removed.
+const submissionUpload = multer({
+    storage: createStreamingStorage({
+        async prepare(req, file) {
+            const fields = parseSubmissionFields(req.body);
+            const reservation = await reserveSubmission(req.user.id, fields, MAX_ACTIVE_SUBMISSIONS);
+            if (!reservation) {
+                throw new UploadError(`Upload quota exceeded. Maximum ${MAX_ACTIVE_SUBMISSIONS} active demo submissions allowed. Please wait for your pending demos to be reviewed.`, 403);
+            }
+            req.submissionId = reservation.id;
+            const filename = generateUniqueFilename(file.originalname);
+            console.log(`📤 Starting demo submission: ${filename}`);
+            return { filename, type: 'label-submissions', maxSize: MAX_DEMO_SIZE, tooLargeMessage: 'File too large. Maximum size is 250 MB.' };
+        },
+        inspect: (head) => assertUploadFormat(head, 'label-submissions'),
+        analyze: createUploadAnalyzer,
+    }),
+    limits: {
+        files: 1,
+        fileSize: MAX_DEMO_SIZE,
+    },
+});
+async function releaseSubmissionReservation(req) {
+    if (req.submissionId) {
+        await releaseSubmission(req.submissionId);
+        req.submissionId = null;
+    }
+}
+app.post('/api/submissions', requireUser, handleUploadErrors(submissionUpload.single('file'), { cleanup: releaseSubmissionReservation }), async (req, res) => {
+    try {
+        if (!req.file) {
+            await releaseSubmissionReservation(req);
+            return res.status(400).json({ error: 'No file provided' });
+        }
+        let submission;
+        try {
+            submission = await completeSubmission(req.submissionId, req.file);
+        }
+        catch (error) {
+            // No row pointing at it: do not keep the audio
+            await FileStorage.getInstance().deleteUploadedFile(req.file.filename, req.file.type)
+                .catch((deleteError) => console.error('❌ Could not delete demo file:', deleteError));
+            await releaseSubmissionReservation(req)
+                .catch((releaseError) => console.error('❌ Could not release submission:', releaseError));
+            throw error;
+        }
+        console.log(`✅ Demo submitted: ${submission.id} (${(req.file.size / 1024 / 1024).toFixed(2)} MB)`);
+        await saveUploadWaveform(req.file);
+        res.status(201).json({
+            success: true,
+            submission,
+            analysis: req.file.analysis,
+        });
+    }
+    catch (error) {
+        console.error('❌ Submission error:', error);
+        res.status(500).json({
+            error: error instanceof Error ? error.message : 'Submission failed',
+        });
+    }
+});
+// Stem packs: up to STEM_PACK_MAX_FILES audio files (field `files`) in a folder of
+// their own, with a manifest (see stem-packs.js). Each file is checked and stored
+// on its own, so one bad stem does not stop the others.
+async function requireStudioAccess(req, res, next) {
+    try {
+        if (!(await checkStudioAccess(req.user.id))) {
+            return res.status(403).json({ error: 'Access denied. Studio requests are only available to authorized clients.' });
+        }
+        next();
+    }
+    catch (error) {
+        next(error);
+    }
+}
+const stemPackUpload = multer({
+    storage: createStreamingStorage({
+        prepare(req, file) {
+            const pack = req.stemPack;
+            file.stemName = stemFileName(file.originalname, pack.names);
+            // Same name as a stem already in the pack: a replacement, which takes
+            // the old version's place instead of adding to the pack
+            const replaced = pack.previous?.files.find((entry) => entry.name === file.stemName);
+            if (replaced) {
+                pack.size -= replaced.size;
+            }
+            else if (++pack.fileCount > stemPackMaxFiles()) {
+                throw new UploadError(`A stem pack can hold at most ${stemPackMaxFiles()} files`, 413);
+            }
+            return {
+                filename: stemUploadName(pack.id, file.stemName, { replacing: !!replaced }),
+                type: STEM_PACK_TYPE,
+                maxSize: MAX_STUDIO_SIZE,
+                tooLargeMessage: 'File too large. Maximum size is 500 MB.',
+            };
+        },
+        inspect: (head) => assertUploadFormat(head, STEM_PACK_TYPE),
+        analyze(req, target) {
+            const analyzer = withChecksum(createUploadAnalyzer(req, target));
+            return {
+                ...analyzer,
+                write(chunk) {
+                    req.stemPack.size += chunk.length;
+                    const maxSize = stemPackMaxSize();
+                    if (req.stemPack.size > maxSize) {
+                        throw new UploadError(`Stem pack too large. Maximum size is ${Math.round(maxSize / 1024 / 1024 / 1024)} GB.`, 413);
+                    }
+                    analyzer.write(chunk);
+                },
+            };
+        },
+        tolerateErrors: true,
+    }),
+    limits: {
+        // Multer hands these to busboy on every request, so a getter sees .env.local
+        get files() {
+            return stemPackMaxFiles();
+        },
+    },
+});
+function sendStemPackError(res, error, fallback) {
+    if (error instanceof UploadError || error instanceof PathError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: fallback });
+}
+// Store the files of one request in the pack and answer with the manifest
+async function finishStemPackUpload(req, res, { created }) {
+    const { id, previous } = req.stemPack;
+    const files = req.files || [];
+    const stored = files.filter((file) => !file.error);
+    // ?onError=rollback (or an onError form field): keep nothing unless every file made it
+    const rollback = created && (req.query.onError || req.body.onError) === 'rollback';
+    if (created && (stored.length === 0 || (rollback && stored.length < files.length))) {
+        await deleteStemPack(id);
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No files provided' });
+        }
+        return res.status(422).json({ error: 'Some files could not be uploaded; nothing was kept', rolledBack: true, failed: describeFailures(files) });
+    }
+    await commitStemReplacements(id, stored);
+    for (const file of stored) {
+        await saveUploadWaveform(file);
+    }
+    const pack = await saveStemPack(id, req.user, files, previous);
+    console.log(`✅ Stem pack ${id}: ${stored.length} stored, ${files.length - stored.length} failed`);
+    res.status(created ? 201 : 200).json({
+        success: true,
+        complete: pack.complete,
+        pack,
+        failed: describeFailures(files),
+    });
+}
+app.post('/api/studio-packs', requireUser, requireStudioAccess, (req, _res, next) => {
+    req.stemPack = { id: createStemPackId(), names: new Set(), size: 0, fileCount: 0, previous: null };
+    next();
+}, handleUploadErrors(stemPackUpload.array('files'), {
+    // Multer removes the stored files itself; the folder and manifest go too
+    cleanup: (req) => deleteStemPack(req.stemPack.id),
+}), async (req, res) => {
+    try {
+        await finishStemPackUpload(req, res, { created: true });
+    }
+    catch (error) {
+        console.error('❌ Stem pack upload error:', error);
+        sendStemPackError(res, error, 'Upload failed');
+    }
+});
+/**
+ * Send files again (the failed ones, or replacements: same name = same stem)
+ * or add more files to a pack. A replacement only takes the previous version's
+ * place once the request has succeeded.
+ */
+app.post('/api/studio-packs/:id/files', requireUser, requireStudioAccess, async (req, res, next) => {
+    try {
+        const previous = await getStemPack(req.params.id, req.user);
+        req.stemPack = { id: previous.id, names: new Set(), size: previous.totalSize, fileCount: previous.fileCount, previous };
+        next();
+    }
+    catch (error) {
+        console.error('❌ Stem pack error:', error);
+        sendStemPackError(res, error, 'Failed to get stem pack');
+    }
+}, handleUploadErrors(stemPackUpload.array('files')), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No files provided' });
+        }
+        await finishStemPackUpload(req, res, { created: false });
+    }
+    catch (error) {
+        await discardStemReplacements(req.files || []);
+        console.error('❌ Stem pack upload error:', error);
+        sendStemPackError(res, error, 'Upload failed');
+    }
+});
+app.get('/api/studio-packs/:id', requireUser, async (req, res) => {
+    try {
+        const pack = await getStemPack(req.params.id, req.user);
+        res.json({ success: true, pack });
+    }
+    catch (error) {
+        console.error('❌ Stem pack error:', error);
+        sendStemPackError(res, error, 'Failed to get stem pack');
+    }
+});
+// Roll a pack back entirely
+app.delete('/api/studio-packs/:id', requireUser, async (req, res) => {
+    try {
+        await getStemPack(req.params.id, req.user);
+        await deleteStemPack(req.params.id);
+        console.log(`🗑️ Stem pack deleted: ${req.params.id}`);
+        res.json({ success: true, message: 'Stem pack deleted' });
+    }
+    catch (error) {
+        console.error('❌ Stem pack error:', error);
+        sendStemPackError(res, error, 'Failed to delete stem pack');
+    }
+});
+// Waveform peaks of an uploaded demo / studio file (audiowaveform JSON, or
+// binary with ?format=dat), for its owner or an admin. ?samplesPerPixel= or
+// ?pixels= pick the zoom level.
+app.get('/api/waveform', requireUser, async (req, res) => {
+    try {
+        const { type, filename, format, samplesPerPixel, pixels } = req.query;
+        if (!isUploadType(type)) {
+            return res.status(400).json({ error: 'Invalid upload type' });
+        }
+        const row = typeof filename === 'string' ? await findUploadReference(type, filename) : null;
+        // Same answer for someone else's file and a missing one
+        if (!row || (row[UPLOAD_REFERENCES[type].owner] !== req.user.id && !(await isAdminUser(req.user)))) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        const storage = FileStorage.getInstance();
+        await storage.connect();
+        const waveform = await storage.getUploadWaveform(filename, type);
+        if (!waveform) {
+            return res.status(415).json({ error: 'Waveforms are only available for WAV and AIFF files' });
+        }
+        sendWaveform(res, waveform, { format, samplesPerPixel, pixels });
+    }
+    catch (error) {
+        console.error('❌ Waveform error:', error);
+        const status = error instanceof WaveformError ? error.status : storageErrorStatus(error);
+        // Driver errors carry server paths: only our own messages go out
+        res.status(status).json({
+            error: error instanceof WaveformError || error instanceof PathError ? error.message
+                : status === 404 ? 'File not found' : 'Failed to get waveform',
+        });
+    }
+});
+// Studio request workspaces: revisions posted by the engineer, answered by the client
+app.use('/api/studio', createStudioRouter({
+    authenticate: (req) => getUserFromToken(req.headers.authorization),
+    checkStudioAccess,
+}));
+// Resumable (tus) uploads for studio requests.
+// Upload-Metadata must carry `type` and `filename`.
+app.use('/api/uploads', createTusRouter({
+    scope: 'user',
+    authenticate: (req) => getUserFromToken(req.headers.authorization),
+    maxSize: MAX_STUDIO_SIZE,
+    async prepare(req, user, metadata) {
+        if (!isUploadType(metadata.type)) {
+            throw new UploadError('Invalid upload type');
+        }
+        await assertCanUpload(user, metadata.type);
+        if (!metadata.filename) {
+            throw new UploadError('Upload-Metadata must include a filename');
+        }
+        return { filename: generateUniqueFilename(metadata.filename), type: metadata.type };
+    },
+    async verify(upload, head, user) {
+        await assertCanUpload(user, upload.target.type);
+        await assertUploadFormat(head, upload.target.type);
+        // Only the header is read here: levels are not measured for resumable uploads
+        const analysis = analyzeAudioHead(head);
+        assertAudioSpec(analysis, getAudioSpecRules(upload.target.type));
+        return { analysis };
+    },
+}));
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 const server = app.listen(PORT, () => {
     console.log(`🚀 Upload server running on http://localhost:${PORT}`);
-    console.log(`📁 SFTP Host: ${process.env.O2SWITCH_SFTP_HOST}`);
-    console.log(`📍 Base Path: ${process.env.O2SWITCH_BASE_PATH}`);
+    console.log(`📁 Storage driver: ${process.env.STORAGE_DRIVER || 'sftp'}`);
+    console.log(`📍 Upload Path: ${FileStorage.getInstance().uploadBasePath()}`);
 });
+// Uploads are only private once they live outside the public web root
+if (process.env.UPLOAD_PRIVATE_PATH) {
+    const storage = FileStorage.getInstance();
+    storage.connect()
+        .then(() => storage.moveLegacyUploads(UPLOAD_TYPES))
+        .then((moved) => moved && console.log(`🔒 Moved ${moved} uploaded files out of the public web root`))
+        .catch((error) => console.error('❌ Moving uploads out of the web root failed:', error));
+}
+else {
+    console.warn('⚠️ UPLOAD_PRIVATE_PATH is not set: demos and studio files are stored under the public O2SWITCH_BASE_PATH');
+}
+// Purge abandoned resumable uploads every hour
+setInterval(() => {
+    cleanupExpiredUploads()
+        .then((removed) => removed && console.log(`🧹 Removed ${removed} expired resumable uploads`))
+        .catch((error) => console.error('❌ Resumable upload cleanup failed:', error));
+    const storage = FileStorage.getInstance();
+    storage.connect()
+        .then(() => storage.removeStaleUploadParts())
+        .then((removed) => removed && console.log(`🧹 Removed ${removed} unfinished upload parts`))
+        .catch((error) => console.error('❌ Upload part cleanup failed:', error));
+}, 60 * 60 * 1000).unref();
+// Build the admin storage search index, then refresh it for changes made outside the server
+const indexRescanMinutes = parseFloat(process.env.ADMIN_INDEX_RESCAN_MINUTES || '30');
+const rescanIndex = () => rescanAdminIndex()
+    .catch((error) => console.error('❌ Admin storage index scan failed:', error));
+rescanIndex();
+if (indexRescanMinutes > 0) {
+    setInterval(rescanIndex, indexRescanMinutes * 60 * 1000).unref();
+}
+// Release demo quota reservations whose upload never finished
+setInterval(() => {
+    cleanupStaleReservations()
+        .then((removed) => removed && console.log(`🧹 Released ${removed} stale submission reservations`))
+        .catch((error) => console.error('❌ Submission reservation cleanup failed:', error));
+}, 60 * 60 * 1000).unref();
+// Delete demo / studio files nothing in the database points at (see upload-gc.js)
+const uploadGcHours = parseFloat(process.env.UPLOAD_GC_INTERVAL_HOURS || '24');
+if (uploadGcHours > 0) {
+    setInterval(() => {
+        reconcileUploads()
+            .catch((error) => console.error('❌ Upload reconciliation failed:', error));
+    }, uploadGcHours * 60 * 60 * 1000).unref();
+}
+// Empty the admin storage trash past its retention window, checked every hour
+setInterval(() => {
+    cleanupExpiredTrash()
+        .then((removed) => removed && console.log(`🧹 Purged ${removed} expired trash items`))
+        .catch((error) => console.error('❌ Trash cleanup failed:', error));
+}, 60 * 60 * 1000).unref();
 // Increase timeout for large file uploads (10 minutes)
 server.timeout = 600000;
 server.keepAliveTimeout = 600000;
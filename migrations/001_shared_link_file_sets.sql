@@ -0,0 +1,4 @@
+-- Share links to a hand-picked set of files: file_paths lists the files and
+-- file_path holds the folder they all live in. NULL for single files and folders.
+alter table shared_links
+    add column if not exists file_paths text[];
@@ -0,0 +1,19 @@
+-- Share link analytics (share-analytics.js): one row per view, failed password
+-- and download. ip_hash is a keyed hash, never the address itself.
+create table if not exists shared_link_events (
+    id bigint generated always as identity primary key,
+    link_id uuid not null references shared_links (id) on delete cascade,
+    event text not null check (event in ('view', 'password_failed', 'download_started', 'download_completed', 'download_aborted')),
+    path text,
+    ip_hash text,
+    user_agent text,
+    referrer text,
+    bytes_sent bigint,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists shared_link_events_link_id_created_at_idx
+    on shared_link_events (link_id, created_at);
+
+-- Only the server (service key) reads and writes events
+alter table shared_link_events enable row level security;
@@ -0,0 +1,4 @@
+-- Downloads in progress (file-sharing.js, reserveDownload): one { id, expiresAt }
+-- entry per transfer, so a slot that is never settled expires on its own.
+alter table shared_links
+    add column if not exists download_reservations jsonb not null default '[]'::jsonb;
@@ -0,0 +1,64 @@
+import path from 'path';
+
+// Every admin-storage path goes through here before it reaches a driver.
+// Paths are relative to ADMIN_STORAGE_PATH and may never leave it.
+
+export class PathError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PathError';
+        this.status = status;
+    }
+}
+
+/**
+ * Normalize a client-supplied path to a clean "/a/b" form relative to the
+ * storage root. Malformed input is a 400, any `..` segment is a 403.
+ */
+export function normalizeAdminPath(relativePath = '/') {
+    if (typeof relativePath !== 'string') {
+        throw new PathError('Path must be a string');
+    }
+    if (relativePath.includes('\0')) {
+        throw new PathError('Path contains invalid characters');
+    }
+    const segments = relativePath.replace(/\\/g, '/').split('/');
+    if (segments.includes('..')) {
+        throw new PathError('Path traversal is not allowed', 403);
+    }
+    return path.posix.normalize(`/${segments.filter((segment) => segment && segment !== '.').join('/')}`);
+}
+
+export function isRootPath(relativePath) {
+    return normalizeAdminPath(relativePath) === '/';
+}
+
+/**
+ * Join a normalized relative path onto the root and double-check the result
+ */
+export function jailPath(rootPath, relativePath) {
+    const root = path.posix.normalize(rootPath).replace(/\/$/, '') || '/';
+    const fullPath = path.posix.join(root, normalizeAdminPath(relativePath)).replace(/(.)\/$/, '$1');
+    if (!isInside(root, fullPath)) {
+        throw new PathError('Path is outside of the storage root', 403);
+    }
+    return fullPath;
+}
+
+export function isInside(rootPath, candidate) {
+    const root = rootPath.replace(/\/$/, '');
+    return candidate === root || candidate.startsWith(`${root}/`) || root === '';
+}
+
+/**
+ * HTTP status for an error coming out of the storage layer
+ */
+export function storageErrorStatus(error) {
+    if (error instanceof PathError) {
+        return error.status;
+    }
+    if (error?.code === 'ENOENT') {
+        return 404;
+    }
+    return 500;
+}
@@ -0,0 +1,26 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request context, so storage operations can be cancelled when the HTTP
+// client goes away without threading a signal through every call.
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Express middleware: abort the request's signal when the client disconnects
+ * before the response has been fully written
+ */
+export function abortOnDisconnect(req, res, next) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort(new Error('Client disconnected'));
+        }
+    });
+    requestContext.run({ signal: controller.signal }, next);
+}
+
+/**
+ * Signal of the HTTP request currently being handled, if any
+ */
+export function currentSignal() {
+    return requestContext.getStore()?.signal;
+}
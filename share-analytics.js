@@ -0,0 +1,175 @@
+// Share link analytics: every access to a public share link is logged in
+// shared_link_events (link_id, event, path, ip_hash, user_agent, referrer,
+// bytes_sent, created_at), so admins can see whether a promo was opened,
+// listened to or downloaded. IP addresses are never stored, only a keyed hash
+// (enough to count distinct visitors).
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { sentWholeFile } from './http-range.js';
+
+export const SHARE_EVENTS = ['view', 'password_failed', 'download_started', 'download_completed', 'download_aborted'];
+const MAX_HEADER_LENGTH = 500;
+const PAGE_SIZE = 1000;
+const CSV_COLUMNS = ['created_at', 'event', 'path', 'bytes_sent', 'ip_hash', 'user_agent', 'referrer'];
+
+let generatedSalt = null;
+
+// Helper function to get Supabase admin client (uses service key, bypasses RLS)
+function getSupabaseAdminClient() {
+    if (!process.env.VITE_SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+        throw new Error('Supabase admin credentials not configured');
+    }
+    return createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false
+        }
+    });
+}
+
+function ipSalt() {
+    if (process.env.SHARE_ANALYTICS_SALT) {
+        return process.env.SHARE_ANALYTICS_SALT;
+    }
+    if (!generatedSalt) {
+        console.warn('⚠️ SHARE_ANALYTICS_SALT is not set: visitors will be counted again after a server restart');
+        generatedSalt = crypto.randomBytes(32);
+    }
+    return generatedSalt;
+}
+
+export function hashIp(ip) {
+    if (!ip) {
+        return null;
+    }
+    return crypto.createHmac('sha256', ipSalt()).update(ip).digest('hex').slice(0, 32);
+}
+
+function headerValue(req, name) {
+    const value = req.headers[name];
+    return typeof value === 'string' && value ? value.slice(0, MAX_HEADER_LENGTH) : null;
+}
+
+/**
+ * Log one access to a share link. Never throws: analytics must not get in the
+ * way of a download.
+ */
+export async function recordShareEvent(link, event, req, { path = null, bytesSent = null } = {}) {
+    try {
+        const supabase = getSupabaseAdminClient();
+        const { error } = await supabase
+            .from('shared_link_events')
+            .insert({
+            link_id: link.id,
+            event,
+            path: path || null,
+            ip_hash: hashIp(req.ip),
+            user_agent: headerValue(req, 'user-agent'),
+            referrer: headerValue(req, 'referer'),
+            bytes_sent: bytesSent,
+        });
+        if (error) {
+            console.error('Error recording share link event:', error);
+        }
+    }
+    catch (error) {
+        console.error('Error recording share link event:', error);
+    }
+}
+
+/**
+ * Log a download as started now, then as completed or aborted (with the bytes
+ * actually written) once the response is over. Call it right before the body
+ * starts being sent.
+ */
+export function trackShareDownload(link, req, res, { path = null } = {}) {
+    let bytesSent = 0;
+    const write = res.write;
+    const end = res.end;
+    const count = (chunk, encoding) => {
+        if (chunk && typeof chunk !== 'function') {
+            bytesSent += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+        }
+    };
+    res.write = function (chunk, encoding, callback) {
+        count(chunk, encoding);
+        return write.call(this, chunk, encoding, callback);
+    };
+    res.end = function (chunk, encoding, callback) {
+        count(chunk, encoding);
+        return end.call(this, chunk, encoding, callback);
+    };
+    const started = recordShareEvent(link, 'download_started', req, { path });
+    res.once('close', () => {
+        // A range request that leaves part of the file out is not a complete download
+        const event = sentWholeFile(res) ? 'download_completed' : 'download_aborted';
+        // Keep the events in order for the timeline
+        started.then(() => recordShareEvent(link, event, req, { path, bytesSent }));
+    });
+}
+
+/**
+ * Events of a link, oldest first. `from` / `to` are optional ISO dates.
+ */
+export async function listShareEvents(linkId, { from, to } = {}) {
+    const supabase = getSupabaseAdminClient();
+    const events = [];
+    for (let offset = 0;; offset += PAGE_SIZE) {
+        let query = supabase
+            .from('shared_link_events')
+            .select('*')
+            .eq('link_id', linkId);
+        if (from) {
+            query = query.gte('created_at', from);
+        }
+        if (to) {
+            query = query.lte('created_at', to);
+        }
+        const { data, error } = await query
+            .order('created_at', { ascending: true })
+            .order('id', { ascending: true })
+            .range(offset, offset + PAGE_SIZE - 1);
+        if (error) {
+            console.error('Error listing share link events:', error);
+            throw new Error('Failed to get share link analytics');
+        }
+        events.push(...data);
+        if (data.length < PAGE_SIZE) {
+            return events;
+        }
+    }
+}
+
+/**
+ * Totals over a list of events
+ */
+export function summarizeShareEvents(events) {
+    const count = (event) => events.filter((entry) => entry.event === event).length;
+    const visitors = new Set(events.map((entry) => entry.ip_hash).filter(Boolean));
+    return {
+        views: count('view'),
+        uniqueVisitors: visitors.size,
+        passwordFailures: count('password_failed'),
+        downloadsStarted: count('download_started'),
+        downloadsCompleted: count('download_completed'),
+        downloadsAborted: count('download_aborted'),
+        bytesSent: events.reduce((total, entry) => total + (Number(entry.bytes_sent) || 0), 0),
+        firstAccessAt: events[0]?.created_at || null,
+        lastAccessAt: events[events.length - 1]?.created_at || null,
+    };
+}
+
+// Quote every field, and defuse values a spreadsheet would run as a formula
+// (user agents and referrers come from whoever opened the link)
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+export function shareEventsToCsv(events) {
+    const rows = events.map((entry) => CSV_COLUMNS.map((column) => csvField(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
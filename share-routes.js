@@ -1,6 +1,14 @@
 import express from 'express';
 import { createClient } from '@supabase/supabase-js';
-import { createShareLink, getUserShareLinks, getShareLink, validateShareLink, incrementDownloadCount, deactivateShareLink, deleteShareLink, } from './file-sharing.js';
+import { FileStorage } from './storage.js';
+import path from 'path';
+import { PathError, normalizeAdminPath, storageErrorStatus } from './path-jail.js';
+import { listArchiveEntries, sendZipArchive, archiveNameFor, createArchiveFilter } from './zip-archive.js';
+import { sendRangedFile, sentWholeFile } from './http-range.js';
+import { sendWaveform, WaveformError } from './waveform.js';
+import { ShareLinkError, createShareLink, updateShareLink, getUserShareLinks, getUserShareLink, getShareLink, validateShareLink, reserveDownload, confirmDownload, releaseDownload, deactivateShareLink, deleteShareLink, commonFolder, } from './file-sharing.js';
+import { listPasswordLockouts, clearPasswordLockouts } from './share-throttle.js';
+import { recordShareEvent, trackShareDownload, listShareEvents, summarizeShareEvents, shareEventsToCsv } from './share-analytics.js';
 const router = express.Router();
 // Helper function to get Supabase client for user authentication
 function getSupabaseClient() {
@@ -43,10 +51,129 @@ async function verifyAdminUser(authHeader) {
     }
     return user;
 }
+// Path errors are safe to show; anything else stays generic
+function storageErrorMessage(error, fallback) {
+    if (error instanceof PathError) {
+        return error.message;
+    }
+    if (error?.code === 'ENOENT') {
+        return 'File not found';
+    }
+    return fallback;
+}
+const MAX_SHARED_FILES = 500;
+// Path of `filePath` inside the shared folder, as recipients see it
+function sharedName(root, filePath) {
+    return root === '/' ? filePath.slice(1) : filePath.slice(root.length + 1);
+}
+/**
+ * What a link points at: 'file', 'folder', or 'files' (a hand-picked set,
+ * listed in `file_paths`, inside the folder `file_path`)
+ */
+async function shareKind(storage, link) {
+    if (Array.isArray(link.file_paths)) {
+        return 'files';
+    }
+    return (await storage.statAdminFile(link.file_path)).isDirectory ? 'folder' : 'file';
+}
+/**
+ * Admin path of a file or folder inside a share, from the path a recipient
+ * sent (relative to the shared folder). Nothing outside the share resolves.
+ */
+function resolveSharedPath(link, kind, relativePath) {
+    const relative = normalizeAdminPath(relativePath || '/');
+    if (relative === '/') {
+        return normalizeAdminPath(link.file_path);
+    }
+    if (kind === 'folder') {
+        return normalizeAdminPath(`${link.file_path}/${relative}`);
+    }
+    const root = normalizeAdminPath(link.file_path);
+    const match = kind === 'files' && link.file_paths.find((filePath) => sharedName(root, filePath) === relative.slice(1));
+    if (!match) {
+        throw new PathError('File not found', 404);
+    }
+    return match;
+}
+// One level of a shared folder, or the whole set of shared files
+async function listSharedItems(storage, link, kind, relativePath) {
+    const root = normalizeAdminPath(link.file_path);
+    if (kind === 'files') {
+        const items = [];
+        for (const filePath of link.file_paths) {
+            // Files deleted since the link was made are simply not listed
+            const stat = await storage.statAdminFile(filePath).catch(() => null);
+            if (stat && !stat.isDirectory) {
+                const { mime } = await storage.detectAdminContentType(filePath, stat);
+                items.push({ name: path.posix.basename(filePath), path: sharedName(root, filePath), type: 'file', size: stat.size, lastmod: new Date(stat.modifyTime).toISOString(), mime });
+            }
+        }
+        return items;
+    }
+    const folder = resolveSharedPath(link, kind, relativePath);
+    return (await storage.listAdminFiles(folder)).map((item) => ({
+        name: item.basename,
+        path: sharedName(root, item.filename),
+        type: item.type,
+        size: item.size,
+        lastmod: item.lastmod,
+        mime: item.mime,
+    }));
+}
+// The hand-picked files of a link, as archive entries named by their shared path
+async function sharedFileEntries(storage, link, filters) {
+    const root = normalizeAdminPath(link.file_path);
+    const keep = createArchiveFilter(filters);
+    const entries = [];
+    for (const filePath of link.file_paths) {
+        const name = sharedName(root, filePath);
+        const stat = await storage.statAdminFile(filePath).catch(() => null);
+        if (stat && !stat.isDirectory && keep(name)) {
+            entries.push({ filename: filePath, name, size: stat.size, lastmod: new Date(stat.modifyTime).toISOString() });
+        }
+    }
+    return entries;
+}
+// Log wrong passwords, so guessing shows up in the link's analytics
+function recordFailedPassword(validation, req, relativePath) {
+    if (validation.reason === 'Invalid password' && validation.link) {
+        return recordShareEvent(validation.link, 'password_failed', req, { path: relativePath });
+    }
+}
+// 429 while password attempts are throttled; a wrong password also says when to try again
+function sendAccessDenied(res, validation) {
+    if (validation.retryAfter) {
+        res.setHeader('Retry-After', String(validation.retryAfter));
+    }
+    res.status(validation.throttled ? 429 : 403).json({
+        error: validation.reason || 'Access denied',
+        retryAfter: validation.retryAfter,
+    });
+}
+/**
+ * Reserve a download slot right before the body is sent. It is only counted
+ * once the whole file has been written (a range request must cover every
+ * byte), and given back if the transfer fails or the client goes away.
+ */
+async function startDownload(link, req, res, relativePath) {
+    const reservation = await reserveDownload(link.id);
+    if (!reservation.reserved) {
+        res.status(403).json({ error: reservation.reason });
+        return false;
+    }
+    res.once('close', () => {
+        const settle = sentWholeFile(res) ? confirmDownload : releaseDownload;
+        settle(link.id, reservation.id).catch((error) => console.error('Error counting share link download:', error));
+    });
+    trackShareDownload(link, req, res, { path: relativePath });
+    return true;
+}
 // ===== ADMIN ROUTES (Protected) =====
 /**
  * POST /api/share/create
- * Create a new share link for a file
+ * Create a new share link for a file, a folder, or a hand-picked set of files
+ * (`filePaths`). Folders and sets can be browsed, downloaded file by file or
+ * as a ZIP archive.
  */
 router.post('/create', async (req, res) => {
     try {
@@ -54,15 +181,44 @@ router.post('/create', async (req, res) => {
         if (!user) {
             return res.status(401).json({ error: 'Unauthorized' });
         }
-        const { filePath, fileName, fileSize, expiresIn, password, maxDownloads } = req.body;
-        if (!filePath || !fileName || !fileSize) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        const { filePath, filePaths, fileName, fileSize, expiresIn, password, maxDownloads } = req.body;
+        // Only files inside admin storage can be shared
+        const storage = FileStorage.getInstance();
+        await storage.connect();
+        let target;
+        if (filePaths !== undefined) {
+            if (!Array.isArray(filePaths) || filePaths.length === 0 || !fileName) {
+                return res.status(400).json({ error: 'Missing required fields' });
+            }
+            if (filePaths.length > MAX_SHARED_FILES) {
+                return res.status(400).json({ error: `A share link can hold at most ${MAX_SHARED_FILES} files` });
+            }
+            const normalizedPaths = [...new Set(filePaths.map((item) => normalizeAdminPath(item)))];
+            let totalSize = 0;
+            for (const item of normalizedPaths) {
+                const stat = await storage.statAdminFile(item);
+                if (stat.isDirectory) {
+                    return res.status(400).json({ error: 'Only files can be picked; share the folder itself instead' });
+                }
+                totalSize += stat.size;
+            }
+            target = { filePath: commonFolder(normalizedPaths), filePaths: normalizedPaths, fileSize: totalSize };
+        }
+        else {
+            if (!filePath || !fileName) {
+                return res.status(400).json({ error: 'Missing required fields' });
+            }
+            const normalizedPath = normalizeAdminPath(filePath);
+            const stat = await storage.statAdminFile(normalizedPath);
+            if (!stat.isDirectory && !fileSize) {
+                return res.status(400).json({ error: 'Missing required fields' });
+            }
+            target = { filePath: normalizedPath, fileSize: fileSize || stat.size };
         }
         // Create the share link
         const shareLink = await createShareLink({
-            filePath,
+            ...target,
             fileName,
-            fileSize,
             createdBy: user.id,
             expiresIn,
             password,
@@ -81,7 +237,7 @@ router.post('/create', async (req, res) => {
     }
     catch (error) {
         console.error('Error creating share link:', error);
-        res.status(500).json({ error: 'Failed to create share link' });
+        res.status(storageErrorStatus(error)).json({ error: storageErrorMessage(error, 'Failed to create share link') });
     }
 });
 /**
@@ -111,6 +267,140 @@ router.get('/list', async (req, res) => {
         res.status(500).json({ error: 'Failed to get share links' });
     }
 });
+/**
+ * GET /api/share/:id/analytics
+ * Every access to a share link (views, wrong passwords, downloads started,
+ * completed or aborted) with totals. ?from= / ?to= narrow the period (ISO
+ * dates); ?format=csv returns the timeline as a CSV file instead.
+ */
+router.get('/:id/analytics', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { from, to, format } = req.query;
+        if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+            return res.status(400).json({ error: 'from and to must be ISO dates' });
+        }
+        const link = await getUserShareLink(req.params.id, user.id);
+        if (!link) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+        const events = await listShareEvents(link.id, { from, to });
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="share-${link.id}-analytics.csv"`);
+            return res.send(shareEventsToCsv(events));
+        }
+        res.json({
+            success: true,
+            link: {
+                id: link.id,
+                name: link.file_name,
+                createdAt: link.created_at,
+                downloadCount: link.download_count,
+                lastAccessedAt: link.last_accessed_at,
+            },
+            totals: summarizeShareEvents(events),
+            events,
+        });
+    }
+    catch (error) {
+        console.error('Error getting share link analytics:', error);
+        res.status(500).json({ error: 'Failed to get share link analytics' });
+    }
+});
+/**
+ * PATCH /api/share/:id
+ * Change a share link: expiresIn / expiresAt, password, maxDownloads (null
+ * removes the expiry, password or limit), resetDownloadCount, isActive (to
+ * reactivate it), rotateToken (new URL, same settings and analytics)
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { expiresIn, expiresAt, password, maxDownloads, resetDownloadCount, isActive, rotateToken } = req.body;
+        const shareLink = await updateShareLink(req.params.id, user.id, {
+            expiresIn,
+            expiresAt,
+            password,
+            maxDownloads,
+            resetDownloadCount,
+            isActive,
+            rotateToken,
+        });
+        if (rotateToken === true) {
+            console.log(`🔄 Share link ${shareLink.id} rotated by ${user.email}`);
+        }
+        const baseUrl = process.env.VITE_APP_URL || 'http://localhost:5173';
+        res.json({
+            success: true,
+            shareLink: {
+                ...shareLink,
+                url: `${baseUrl}/shared/${shareLink.token}`,
+            },
+        });
+    }
+    catch (error) {
+        console.error('Error updating share link:', error);
+        if (error instanceof ShareLinkError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to update share link' });
+    }
+});
+/**
+ * GET /api/share/lockouts
+ * The current admin's links with too many wrong passwords: slowed down for
+ * everyone (`slowedUntil`) or locked for some clients (hashed IPs)
+ */
+router.get('/lockouts', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const lockouts = [];
+        for (const [token, lockout] of listPasswordLockouts()) {
+            const link = await getShareLink(token);
+            if (link && link.created_by === user.id) {
+                lockouts.push({ id: link.id, name: link.file_name, ...lockout });
+            }
+        }
+        res.json({ success: true, lockouts });
+    }
+    catch (error) {
+        console.error('Error getting share link lockouts:', error);
+        res.status(500).json({ error: 'Failed to get share link lockouts' });
+    }
+});
+/**
+ * DELETE /api/share/:id/lockouts
+ * Lift the password lockouts of a share link
+ */
+router.delete('/:id/lockouts', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const link = await getUserShareLink(req.params.id, user.id);
+        if (!link) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+        const cleared = clearPasswordLockouts(link.token);
+        console.log(`🔓 Password lockouts of share link ${link.id} cleared by ${user.email}`);
+        res.json({ success: true, cleared });
+    }
+    catch (error) {
+        console.error('Error clearing share link lockouts:', error);
+        res.status(500).json({ error: 'Failed to clear share link lockouts' });
+    }
+});
 /**
  * PATCH /api/share/:id/deactivate
  * Deactivate a share link
@@ -158,7 +448,10 @@ router.delete('/:id', async (req, res) => {
 // ===== PUBLIC ROUTES (No authentication required) =====
 /**
  * GET /api/shared/:token
- * Get information about a shared file (no download, just info)
+ * Information about a shared file, folder or set of files (no download).
+ * Folders and sets also come with a listing (`items`) once the link can be
+ * used: the password goes in an X-Share-Password header, and ?path= browses
+ * into sub-folders.
  */
 router.get('/:token', async (req, res) => {
     try {
@@ -167,57 +460,142 @@ router.get('/:token', async (req, res) => {
         if (!link) {
             return res.status(404).json({ error: 'Share link not found' });
         }
+        const storage = FileStorage.getInstance();
+        await storage.connect();
+        const kind = await shareKind(storage, link).catch(() => null);
+        await recordShareEvent(link, 'view', req, { path: req.query.path });
+        let items = null;
+        if (kind === 'folder' || kind === 'files') {
+            const password = req.headers['x-share-password'];
+            // Viewing a protected link before entering its password is not an attempt
+            const validation = link.password_hash && !password
+                ? { valid: false, reason: 'Password required' }
+                : await validateShareLink(token, password, { clientIp: req.ip });
+            if (validation.valid) {
+                items = await listSharedItems(storage, link, kind, req.query.path);
+            }
+            else {
+                await recordFailedPassword(validation, req, req.query.path);
+                if (validation.retryAfter) {
+                    res.setHeader('Retry-After', String(validation.retryAfter));
+                }
+            }
+        }
         // Don't expose sensitive information
         res.json({
             success: true,
             file: {
                 name: link.file_name,
                 size: link.file_size,
+                kind,
                 requiresPassword: !!link.password_hash,
                 expiresAt: link.expires_at,
                 maxDownloads: link.max_downloads,
                 downloadCount: link.download_count,
                 isActive: link.is_active,
             },
+            items,
         });
     }
     catch (error) {
         console.error('Error getting shared file info:', error);
-        res.status(500).json({ error: 'Failed to get file information' });
+        res.status(storageErrorStatus(error)).json({ error: storageErrorMessage(error, 'Failed to get file information') });
     }
 });
 /**
  * POST /api/shared/:token/download
- * Download a shared file
+ * Download a shared file. For folders and sets of files, `path` picks one file
+ * (or a sub-folder, as a ZIP); without it everything comes as a ZIP archive,
+ * narrowed down by optional `include` / `exclude` globs. A download only
+ * counts towards the link's limit once it has been sent completely.
  */
 router.post('/:token/download', async (req, res) => {
     try {
         const { token } = req.params;
-        const { password } = req.body;
+        const { password, path: relativePath, include, exclude } = req.body;
         // Validate the share link
-        const validation = await validateShareLink(token, password);
+        const validation = await validateShareLink(token, password, { clientIp: req.ip });
         if (!validation.valid) {
-            return res.status(403).json({
-                error: validation.reason || 'Access denied',
-            });
+            await recordFailedPassword(validation, req, relativePath);
+            return sendAccessDenied(res, validation);
         }
         const link = validation.link;
-        // Get the file from SFTP (connexion déjà établie au démarrage)
-        const { O2SwitchStorage } = await import('./sftp.js');
-        const storage = O2SwitchStorage.getInstance();
-        const fileBuffer = await storage.downloadAdminFile(link.file_path);
-        // Increment download count
-        await incrementDownloadCount(token);
-        // Set headers for file download
-        res.setHeader('Content-Type', 'application/octet-stream');
-        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(link.file_name)}"`);
-        res.setHeader('Content-Length', fileBuffer.length);
-        // Send the file
-        res.send(fileBuffer);
+        // Get the file through the configured storage driver
+        const storage = FileStorage.getInstance();
+        await storage.connect();
+        const kind = await shareKind(storage, link);
+        let entries;
+        let archiveName = `${link.file_name.replace(/\.zip$/i, '')}.zip`;
+        if (kind === 'files' && !relativePath) {
+            entries = await sharedFileEntries(storage, link, { include, exclude });
+        }
+        else {
+            const target = resolveSharedPath(link, kind, relativePath);
+            const stat = await storage.statAdminFile(target);
+            if (!stat.isDirectory) {
+                const { mime } = await storage.detectAdminContentType(target, stat);
+                const name = kind === 'file' ? link.file_name : path.posix.basename(target);
+                if (!(await startDownload(link, req, res, relativePath))) {
+                    return;
+                }
+                return sendRangedFile(req, res, {
+                    stat,
+                    contentType: mime,
+                    disposition: `attachment; filename="${encodeURIComponent(name)}"`,
+                    openStream: (range) => storage.createAdminReadStream(target, range),
+                });
+            }
+            entries = await listArchiveEntries(storage, target, { include, exclude });
+            if (normalizeAdminPath(relativePath || '/') !== '/') {
+                archiveName = archiveNameFor(target);
+            }
+        }
+        if (entries.length === 0) {
+            return res.status(404).json({ error: 'No files to download' });
+        }
+        if (!(await startDownload(link, req, res, relativePath))) {
+            return;
+        }
+        await sendZipArchive(res, { storage, entries, archiveName });
     }
     catch (error) {
         console.error('Error downloading shared file:', error);
-        res.status(500).json({ error: 'Failed to download file' });
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.status(storageErrorStatus(error)).json({ error: storageErrorMessage(error, 'Failed to download file') });
+    }
+});
+/**
+ * POST /api/shared/:token/waveform
+ * Waveform peaks of a shared WAV/AIFF file, for the player on the share page.
+ * Body: password (if any), path (a file of a shared folder or set),
+ * format (json|dat), samplesPerPixel or pixels. Does not count as a download.
+ */
+router.post('/:token/waveform', async (req, res) => {
+    try {
+        const { token } = req.params;
+        const { password, path: relativePath, format, samplesPerPixel, pixels } = req.body;
+        const validation = await validateShareLink(token, password, { clientIp: req.ip });
+        if (!validation.valid) {
+            await recordFailedPassword(validation, req, relativePath);
+            return sendAccessDenied(res, validation);
+        }
+        const storage = FileStorage.getInstance();
+        await storage.connect();
+        const kind = await shareKind(storage, validation.link);
+        const waveform = await storage.getAdminWaveform(resolveSharedPath(validation.link, kind, relativePath));
+        if (!waveform) {
+            return res.status(415).json({ error: 'Waveforms are only available for WAV and AIFF files' });
+        }
+        sendWaveform(res, waveform, { format, samplesPerPixel, pixels });
+    }
+    catch (error) {
+        console.error('Error getting shared waveform:', error);
+        if (error instanceof WaveformError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(storageErrorStatus(error)).json({ error: storageErrorMessage(error, 'Failed to get waveform') });
     }
 });
 export default router;
@@ -0,0 +1,203 @@
+// Brute-force protection for share link passwords. Wrong passwords are
+// counted per link and client IP: each one makes the client wait longer before
+// the next try (1s, 2s, 4s...), and too many lock it out for a while (longer
+// for every new lockout). Passwords being checked count towards the lockout
+// too, so parallel guesses do not slip through. A link that fails from many
+// IPs at once is slowed down for everyone (each attempt waits before it is
+// checked), but one client can never lock the others out. Throttled attempts
+// never reach bcrypt.
+// State is kept in memory: it is lost on restart.
+import { setTimeout as sleep } from 'timers/promises';
+import { hashIp } from './share-analytics.js';
+
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const BACKOFF_BASE_MS = 1000;
+// Wait before every attempt on a link that is being slowed down
+const LINK_SLOWDOWN_MS = 2000;
+// Failures older than this are forgotten
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
+const MAX_TRACKED_CLIENTS = 10000;
+
+// `${token}\0${ipHash}` -> { token, ipHash, failures, lockouts, lastFailureAt, retryAt, lockedUntil }
+const clients = new Map();
+// `${token}\0${ipHash}` -> passwords of that client being checked right now
+const pending = new Map();
+// token -> { failures: [timestamps], slowedUntil }
+const links = new Map();
+
+// Read when used: .env.local is only loaded once every module has been imported
+function maxAttempts() {
+    return parseInt(process.env.SHARE_PASSWORD_MAX_ATTEMPTS || '5');
+}
+
+function maxLinkAttempts() {
+    return parseInt(process.env.SHARE_PASSWORD_MAX_LINK_ATTEMPTS || '50');
+}
+
+function lockoutMs() {
+    return parseFloat(process.env.SHARE_PASSWORD_LOCKOUT_MINUTES || '15') * 60 * 1000;
+}
+
+function clientKey(token, ipHash) {
+    return `${token}\0${ipHash}`;
+}
+
+function secondsUntil(time, now) {
+    return Math.max(Math.ceil((time - now) / 1000), 1);
+}
+
+function forgetStale(now) {
+    for (const [key, entry] of clients) {
+        if (now - entry.lastFailureAt > FORGET_AFTER_MS && (entry.lockedUntil || 0) <= now) {
+            clients.delete(key);
+        }
+    }
+    for (const [token, entry] of links) {
+        entry.failures = entry.failures.filter((time) => now - time <= FORGET_AFTER_MS);
+        if (entry.failures.length === 0 && (entry.slowedUntil || 0) <= now) {
+            links.delete(token);
+        }
+    }
+}
+
+/**
+ * Reserve a password check before running it. `{ allowed: false, retryAfter }`
+ * (seconds) while the client is locked out, still has to wait, or has as many
+ * passwords being checked as it has attempts left. Once allowed, the check is
+ * recorded (recordPasswordFailure / recordPasswordSuccess) and the reservation
+ * always given back with releasePasswordAttempt. Resolves late on a link that
+ * is being slowed down.
+ */
+export async function reservePasswordAttempt(token, ip) {
+    const now = Date.now();
+    const key = clientKey(token, hashIp(ip));
+    const client = clients.get(key);
+    if (client?.lockedUntil > now) {
+        return { allowed: false, retryAfter: secondsUntil(client.lockedUntil, now), reason: 'Too many wrong passwords, please try again later' };
+    }
+    if (client?.retryAt > now) {
+        return { allowed: false, retryAfter: secondsUntil(client.retryAt, now), reason: 'Please wait before trying another password' };
+    }
+    const checking = pending.get(key) || 0;
+    if ((client?.failures || 0) + checking >= maxAttempts()) {
+        return { allowed: false, retryAfter: 1, reason: 'Please wait for the previous password to be checked' };
+    }
+    pending.set(key, checking + 1);
+    try {
+        if (links.get(token)?.slowedUntil > now) {
+            await sleep(LINK_SLOWDOWN_MS);
+        }
+    }
+    catch (error) {
+        releasePasswordAttempt(token, ip);
+        throw error;
+    }
+    return { allowed: true };
+}
+
+/**
+ * Give back a reservation once its password has been checked (or could not be)
+ */
+export function releasePasswordAttempt(token, ip) {
+    const key = clientKey(token, hashIp(ip));
+    const checking = (pending.get(key) || 0) - 1;
+    if (checking > 0) {
+        pending.set(key, checking);
+    }
+    else {
+        pending.delete(key);
+    }
+}
+
+/**
+ * Count a wrong password. Returns how long (seconds) the client has to wait
+ * before the next attempt.
+ */
+export function recordPasswordFailure(token, ip) {
+    const now = Date.now();
+    const ipHash = hashIp(ip);
+    const key = clientKey(token, ipHash);
+    const client = clients.get(key) || { token, ipHash, failures: 0, lockouts: 0, retryAt: 0, lockedUntil: 0 };
+    client.failures++;
+    client.lastFailureAt = now;
+    if (client.failures >= maxAttempts()) {
+        client.lockedUntil = now + Math.min(lockoutMs() * 2 ** client.lockouts, MAX_LOCKOUT_MS);
+        client.lockouts++;
+        client.failures = 0;
+        console.warn(`🔒 Share link ${token.slice(0, 8)}… locked for client ${ipHash?.slice(0, 8)} after ${maxAttempts()} wrong passwords`);
+    }
+    else {
+        client.retryAt = now + Math.min(BACKOFF_BASE_MS * 2 ** (client.failures - 1), lockoutMs());
+    }
+    // Most recently failing clients last, so the oldest go first when there are too many
+    clients.delete(key);
+    clients.set(key, client);
+    const link = links.get(token) || { failures: [], slowedUntil: 0 };
+    link.failures = link.failures.filter((time) => now - time <= lockoutMs());
+    link.failures.push(now);
+    if (link.failures.length >= maxLinkAttempts()) {
+        link.slowedUntil = now + lockoutMs();
+        link.failures = [];
+        console.warn(`🐢 Share link ${token.slice(0, 8)}… slowed down for everyone after ${maxLinkAttempts()} wrong passwords`);
+    }
+    links.set(token, link);
+    if (clients.size > MAX_TRACKED_CLIENTS) {
+        forgetStale(now);
+        while (clients.size > MAX_TRACKED_CLIENTS) {
+            clients.delete(clients.keys().next().value);
+        }
+    }
+    return secondsUntil(Math.max(client.retryAt, client.lockedUntil), now);
+}
+
+/**
+ * The right password clears the client's failures for that link
+ */
+export function recordPasswordSuccess(token, ip) {
+    clients.delete(clientKey(token, hashIp(ip)));
+}
+
+/**
+ * Links with a lockout or slowdown in progress: token -> { slowedUntil
+ * (link-wide), clients: [{ ipHash, lockedUntil, lockouts }] }
+ */
+export function listPasswordLockouts() {
+    const now = Date.now();
+    forgetStale(now);
+    const lockouts = new Map();
+    const entryFor = (token) => {
+        if (!lockouts.has(token)) {
+            lockouts.set(token, { slowedUntil: null, clients: [] });
+        }
+        return lockouts.get(token);
+    };
+    for (const [token, link] of links) {
+        if (link.slowedUntil > now) {
+            entryFor(token).slowedUntil = new Date(link.slowedUntil).toISOString();
+        }
+    }
+    for (const client of clients.values()) {
+        if (client.lockedUntil > now) {
+            entryFor(client.token).clients.push({
+                ipHash: client.ipHash,
+                lockedUntil: new Date(client.lockedUntil).toISOString(),
+                lockouts: client.lockouts,
+            });
+        }
+    }
+    return lockouts;
+}
+
+/**
+ * Lift every lockout and slowdown, and forget every failure recorded for a link
+ */
+export function clearPasswordLockouts(token) {
+    let cleared = links.delete(token) ? 1 : 0;
+    for (const [key, client] of clients) {
+        if (client.token === token) {
+            clients.delete(key);
+            cleared++;
+        }
+    }
+    return cleared;
+}
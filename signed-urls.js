@@ -0,0 +1,90 @@
+// Demo and studio files are not served publicly: they are reached through
+// /api/files/<type>/<filename>?expires=<unix seconds>&signature=<HMAC-SHA256>,
+// issued to the file's owner and to admins. Other private routes (studio
+// workspaces) sign their own paths the same way. Changing SIGNED_URL_SECRET
+// revokes every link issued so far.
+import crypto from 'crypto';
+
+const DEFAULT_TTL_SECONDS = 60 * 60;
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+let generatedSecret = null;
+
+function signingSecret() {
+    if (process.env.SIGNED_URL_SECRET) {
+        return process.env.SIGNED_URL_SECRET;
+    }
+    if (!generatedSecret) {
+        console.warn('⚠️ SIGNED_URL_SECRET is not set: signed file URLs will stop working when the server restarts');
+        generatedSecret = crypto.randomBytes(32);
+    }
+    return generatedSecret;
+}
+
+function signature(pathname, expires) {
+    return crypto
+        .createHmac('sha256', signingSecret())
+        .update(`${pathname}\n${expires}`)
+        .digest('base64url');
+}
+
+/**
+ * Stable, unsigned location of an uploaded file (what the database stores)
+ */
+export function uploadFileUrl(type, filename) {
+    return `/api/files/${type}/${encodeURIComponent(filename)}`;
+}
+
+// The stored file name is the last segment of the URL (old rows hold public URLs)
+export function fileNameFromUrl(url) {
+    try {
+        return decodeURIComponent(String(url).split(/[?#]/)[0].split('/').pop() || '') || null;
+    }
+    catch {
+        return null;
+    }
+}
+
+/**
+ * Signed URL for a server path, valid for `expiresIn` seconds (default one
+ * hour, at most 7 days). `download` makes it an attachment instead of inline.
+ */
+export function signUrl(pathname, { expiresIn, download = false } = {}) {
+    const ttl = Math.min(Math.max(parseInt(expiresIn, 10) || DEFAULT_TTL_SECONDS, 1), MAX_TTL_SECONDS);
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const query = new URLSearchParams({ expires: String(expires), signature: signature(pathname, expires) });
+    if (download) {
+        query.set('download', '1');
+    }
+    return {
+        url: `${process.env.SERVER_PUBLIC_URL || ''}${pathname}?${query}`,
+        expiresAt: new Date(expires * 1000).toISOString(),
+    };
+}
+
+/**
+ * Check the `expires` / `signature` query parameters of a signed URL
+ */
+export function verifySignedUrl(pathname, { expires, signature: provided } = {}) {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || typeof provided !== 'string') {
+        return { valid: false, reason: 'Invalid link' };
+    }
+    const expected = Buffer.from(signature(pathname, expiresAt));
+    const actual = Buffer.from(provided);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return { valid: false, reason: 'Invalid link' };
+    }
+    if (expiresAt * 1000 <= Date.now()) {
+        return { valid: false, reason: 'This link has expired' };
+    }
+    return { valid: true, expiresAt: expiresAt * 1000 };
+}
+
+export function signUploadUrl(type, filename, options) {
+    return signUrl(uploadFileUrl(type, filename), options);
+}
+
+export function verifyUploadSignature(type, filename, query) {
+    return verifySignedUrl(uploadFileUrl(type, filename), query);
+}
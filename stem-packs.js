@@ -0,0 +1,194 @@
+// Stem packs: multi-file studio uploads. Each pack is a folder in the
+// studio-requests upload directory with the stems and a manifest.json listing
+// their names, sizes, SHA-256 checksums and detected audio properties.
+// Files that fail are listed in the manifest too, so they can be sent again.
+import crypto from 'crypto';
+import path from 'path';
+import { FileStorage, UPLOAD_MANIFEST_FILE } from './storage.js';
+import { UploadError } from './streaming-upload.js';
+import { AudioSpecError } from './audio-analysis.js';
+import { mimeFromExtension } from './content-type.js';
+import { uploadFileUrl } from './signed-urls.js';
+
+export const STEM_PACK_TYPE = 'studio-requests';
+const MAX_NAME_LENGTH = 200;
+// Names the server keeps for itself inside a pack folder
+const RESERVED_SUFFIXES = ['.peaks.dat'];
+
+// Limits are read when used: .env.local is only loaded once every module has been imported
+export function stemPackMaxFiles() {
+    return parseInt(process.env.STEM_PACK_MAX_FILES || '60');
+}
+
+export function stemPackMaxSize() {
+    return parseInt(process.env.STEM_PACK_MAX_SIZE || '10737418240'); // 10 GB
+}
+
+export function createStemPackId() {
+    return `${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Storage name for a stem: the client's file name without directories or
+ * unusual characters, made unique within the request (`name (2).wav`).
+ */
+export function stemFileName(originalname, taken) {
+    const base = path.posix.basename(String(originalname || '').replace(/\\/g, '/'))
+        .replace(/[^\w.\- ()]+/g, '_')
+        .replace(/^[.\s]+/, '')
+        .trim()
+        .slice(-MAX_NAME_LENGTH);
+    let name = base || `stem-${taken.size + 1}`;
+    if (name === UPLOAD_MANIFEST_FILE || RESERVED_SUFFIXES.some((suffix) => name.endsWith(suffix))) {
+        name = `_${name}`;
+    }
+    const extension = path.posix.extname(name);
+    const stem = name.slice(0, name.length - extension.length);
+    for (let copy = 2; taken.has(name); copy++) {
+        name = `${stem} (${copy})${extension}`;
+    }
+    taken.add(name);
+    return name;
+}
+
+/**
+ * Storage name of a stem within its pack. A stem sent again is written under a
+ * temporary name first, and only takes the previous one's place once the
+ * request has succeeded (commitStemReplacements), so a failed retry loses nothing.
+ */
+export function stemUploadName(id, stemName, { replacing = false } = {}) {
+    if (!replacing) {
+        return `${id}/${stemName}`;
+    }
+    // Client names never start with a dot (stemFileName), so this cannot clash
+    return `${id}/.${crypto.randomBytes(6).toString('hex')}.${stemName}`;
+}
+
+function isReplacement(file) {
+    return !file.error && !!file.filename && path.posix.basename(file.filename) !== file.stemName;
+}
+
+/**
+ * Move the stems sent again over their previous versions
+ */
+export async function commitStemReplacements(id, files) {
+    const storage = FileStorage.getInstance();
+    for (const file of files.filter(isReplacement)) {
+        const filename = stemUploadName(id, file.stemName);
+        await storage.replaceUploadedFile(file.filename, filename, STEM_PACK_TYPE);
+        file.filename = filename;
+    }
+}
+
+/**
+ * Drop the stems sent again that never replaced their previous versions
+ */
+export async function discardStemReplacements(files) {
+    const storage = FileStorage.getInstance();
+    for (const file of files.filter(isReplacement)) {
+        await storage.deleteUploadedFile(file.filename, STEM_PACK_TYPE).catch(() => { });
+    }
+}
+
+/**
+ * Add a SHA-256 of the whole file to an upload analyzer: `finish()` then
+ * resolves to `{ sha256, audio }`.
+ */
+export function withChecksum(analyzer) {
+    const hash = crypto.createHash('sha256');
+    return {
+        write(chunk) {
+            hash.update(chunk);
+            analyzer.write(chunk);
+        },
+        async finish() {
+            const audio = await analyzer.finish();
+            return { sha256: hash.digest('hex'), audio };
+        },
+        waveform: () => analyzer.waveform?.() || null,
+    };
+}
+
+function manifestEntry(file) {
+    return {
+        name: file.stemName,
+        originalName: file.originalname,
+        size: file.size,
+        sha256: file.analysis?.sha256 || null,
+        contentType: mimeFromExtension(file.stemName) || file.mimetype || null,
+        audio: file.analysis?.audio || null,
+    };
+}
+
+/**
+ * What went wrong with each failed file of an upload request
+ */
+export function describeFailures(files) {
+    return files.filter((file) => file.error).map(failureEntry);
+}
+
+function failureEntry(file) {
+    return {
+        name: file.stemName || null,
+        originalName: file.originalname,
+        error: file.error instanceof UploadError || file.error instanceof AudioSpecError
+            ? file.error.message
+            : 'Upload failed, please send this file again',
+        violations: file.error?.violations,
+    };
+}
+
+/**
+ * A pack's manifest, for its owner only (someone else's pack is "not found")
+ */
+export async function getStemPack(id, user) {
+    const storage = FileStorage.getInstance();
+    await storage.connect();
+    const manifest = await storage.readUploadManifest(id, STEM_PACK_TYPE);
+    if (!manifest || manifest.owner !== user.id) {
+        throw new UploadError('Stem pack not found', 404);
+    }
+    return manifest;
+}
+
+/**
+ * Record the files of one upload request in the pack's manifest. Stems sent
+ * again replace the previous entry of the same name, and are no longer
+ * listed as failed.
+ */
+export async function saveStemPack(id, user, files, previous = null) {
+    const storage = FileStorage.getInstance();
+    const stored = files.filter((file) => !file.error);
+    // A failed retry leaves the previous version of the stem in place
+    const replaced = new Set(stored.map((file) => file.stemName));
+    const attempted = new Set(files.map((file) => file.stemName).filter(Boolean));
+    const keptFiles = (previous?.files || []).filter((entry) => !replaced.has(entry.name));
+    const keptFailures = (previous?.failed || []).filter((entry) => !attempted.has(entry.name));
+    const entries = [...keptFiles, ...stored.map(manifestEntry)].sort((a, b) => a.name.localeCompare(b.name));
+    const failures = [...keptFailures, ...describeFailures(files)];
+    const now = new Date().toISOString();
+    const manifest = {
+        id,
+        owner: user.id,
+        // What a studio request row stores as its file_url
+        url: uploadFileUrl(STEM_PACK_TYPE, id),
+        createdAt: previous?.createdAt || now,
+        updatedAt: now,
+        complete: failures.length === 0,
+        fileCount: entries.length,
+        totalSize: entries.reduce((total, entry) => total + entry.size, 0),
+        files: entries,
+        failed: failures,
+    };
+    await storage.writeUploadManifest(id, STEM_PACK_TYPE, manifest);
+    return manifest;
+}
+
+/**
+ * Delete a whole pack (rollback)
+ */
+export async function deleteStemPack(id) {
+    const storage = FileStorage.getInstance();
+    await storage.connect();
+    await storage.deleteUploadFolder(id, STEM_PACK_TYPE);
+}
@@ -0,0 +1,311 @@
+import path from 'path';
+
+const SORT_FIELDS = ['name', 'path', 'size', 'modified'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+export class SearchError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SearchError';
+        this.status = status;
+    }
+}
+
+function isInsidePath(parentPath, candidate) {
+    return parentPath === '/' || candidate === parentPath || candidate.startsWith(`${parentPath}/`);
+}
+
+function toEntry(item) {
+    return {
+        path: item.filename,
+        name: item.basename,
+        type: item.type,
+        ext: item.type === 'directory' ? '' : path.posix.extname(item.basename).slice(1).toLowerCase(),
+        size: item.type === 'directory' ? 0 : item.size,
+        modifiedAt: Date.parse(item.lastmod),
+        category: item.category || null,
+    };
+}
+
+function sortValue(entry, sort) {
+    switch (sort) {
+        case 'size':
+            return entry.size;
+        case 'modified':
+            return entry.modifiedAt;
+        case 'path':
+            return entry.path.toLowerCase();
+        default:
+            return entry.name.toLowerCase();
+    }
+}
+
+function compare(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Opaque keyset cursor: the sort value and path of the last returned entry
+function encodeCursor(entry, sort) {
+    return Buffer.from(JSON.stringify([sortValue(entry, sort), entry.path])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [value, entryPath] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+        if (typeof entryPath !== 'string') {
+            throw new Error('bad cursor');
+        }
+        return { value, path: entryPath };
+    }
+    catch {
+        throw new SearchError('Invalid cursor');
+    }
+}
+
+function parseNumber(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new SearchError(`${name} must be a number`);
+    }
+    return number;
+}
+
+function parseDate(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new SearchError(`${name} must be a date`);
+    }
+    return time;
+}
+
+// "wav, .AIFF" or ['wav', 'aiff'] -> ['wav', 'aiff'] (also used for categories)
+function parseExtensions(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map((ext) => String(ext).trim().replace(/^\./, '').toLowerCase()).filter(Boolean);
+}
+
+/**
+ * In-memory metadata index of admin storage, so searches do not walk the
+ * remote tree. Our own uploads, deletes, moves and mkdirs update it as they
+ * happen; a periodic rescan picks up changes made outside the server.
+ */
+export class AdminStorageIndex {
+    /**
+     * `listDirectory(relativePath)` returns listAdminFiles-style items for one folder
+     */
+    constructor(listDirectory) {
+        this.listDirectory = listDirectory;
+        this.entries = new Map();
+        this.ready = false;
+        this.scanning = null;
+        this.journal = null;
+        this.lastScanAt = null;
+        this.lastScanDuration = null;
+    }
+
+    stats() {
+        return {
+            ready: this.ready,
+            scanning: !!this.scanning,
+            entries: this.entries.size,
+            lastScanAt: this.lastScanAt ? new Date(this.lastScanAt).toISOString() : null,
+            lastScanDuration: this.lastScanDuration,
+        };
+    }
+
+    async walk(entries, relativePath) {
+        for (const item of await this.listDirectory(relativePath)) {
+            entries.set(item.filename, toEntry(item));
+            if (item.type === 'directory') {
+                try {
+                    await this.walk(entries, item.filename);
+                }
+                catch (error) {
+                    // Unreadable or unsafe folder: index what we can
+                    console.warn('⚠️ Index skipped folder:', item.filename, error.message);
+                }
+            }
+        }
+    }
+
+    /**
+     * Rebuild the whole index. Changes made while the scan runs are journaled
+     * and replayed on the new map so they are not lost when it is swapped in.
+     */
+    rescan() {
+        if (!this.scanning) {
+            this.scanning = (async () => {
+                const startedAt = Date.now();
+                const entries = new Map();
+                this.journal = [];
+                try {
+                    await this.walk(entries, '/');
+                    for (const apply of this.journal) {
+                        apply(entries);
+                    }
+                    this.entries = entries;
+                    this.ready = true;
+                    this.lastScanAt = Date.now();
+                    this.lastScanDuration = this.lastScanAt - startedAt;
+                    console.log(`🗂️ Admin storage indexed: ${entries.size} entries in ${this.lastScanDuration} ms`);
+                    return entries.size;
+                }
+                finally {
+                    this.journal = null;
+                    this.scanning = null;
+                }
+            })();
+        }
+        return this.scanning;
+    }
+
+    // Apply a change now, and again to the map being built if a scan is running
+    change(apply) {
+        apply(this.entries);
+        this.journal?.push(apply);
+    }
+
+    // Re-read one folder's subtree (after a copy, a restore, ...)
+    async refresh(relativePath) {
+        const entries = new Map();
+        await this.walk(entries, relativePath);
+        this.change((map) => {
+            for (const key of [...map.keys()]) {
+                if (key !== relativePath && isInsidePath(relativePath, key)) {
+                    map.delete(key);
+                }
+            }
+            for (const [key, entry] of entries) {
+                map.set(key, entry);
+            }
+        });
+    }
+
+    // Parent folders created implicitly by an upload are added too
+    upsert(item) {
+        const entry = toEntry(item);
+        this.change((map) => {
+            for (let parent = path.posix.dirname(entry.path); parent !== '/' && !map.has(parent); parent = path.posix.dirname(parent)) {
+                map.set(parent, {
+                    path: parent,
+                    name: path.posix.basename(parent),
+                    type: 'directory',
+                    ext: '',
+                    size: 0,
+                    modifiedAt: entry.modifiedAt,
+                    category: null,
+                });
+            }
+            map.set(entry.path, entry);
+        });
+    }
+
+    remove(relativePath) {
+        this.change((map) => {
+            for (const key of [...map.keys()]) {
+                if (isInsidePath(relativePath, key)) {
+                    map.delete(key);
+                }
+            }
+        });
+    }
+
+    move(fromPath, toPath) {
+        this.change((map) => {
+            for (const [key, entry] of [...map]) {
+                if (!isInsidePath(fromPath, key)) {
+                    continue;
+                }
+                map.delete(key);
+                const newPath = toPath + key.slice(fromPath.length);
+                map.set(newPath, {
+                    ...entry,
+                    path: newPath,
+                    name: key === fromPath ? path.posix.basename(toPath) : entry.name,
+                });
+            }
+        });
+    }
+
+    /**
+     * Filters: query (name substring), extensions, type (file|directory),
+     * category (audio|video|image|document|archive|other),
+     * minSize/maxSize (bytes), modifiedAfter/modifiedBefore (dates), path (prefix).
+     * Sorted by name|path|size|modified, paginated with an opaque cursor.
+     */
+    search(options = {}) {
+        const query = options.query ? String(options.query).toLowerCase() : '';
+        const extensions = parseExtensions(options.extensions);
+        const type = options.type || undefined;
+        if (type && type !== 'file' && type !== 'directory') {
+            throw new SearchError('Type must be file or directory');
+        }
+        const categories = parseExtensions(options.category);
+        const minSize = parseNumber(options.minSize, 'minSize');
+        const maxSize = parseNumber(options.maxSize, 'maxSize');
+        const modifiedAfter = parseDate(options.modifiedAfter, 'modifiedAfter');
+        const modifiedBefore = parseDate(options.modifiedBefore, 'modifiedBefore');
+        const prefix = options.path || '/';
+        const sort = options.sort || 'name';
+        if (!SORT_FIELDS.includes(sort)) {
+            throw new SearchError(`Sort must be one of: ${SORT_FIELDS.join(', ')}`);
+        }
+        const direction = options.order === 'desc' ? -1 : 1;
+        const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        const matches = [];
+        for (const entry of this.entries.values()) {
+            if (entry.path === prefix || !isInsidePath(prefix, entry.path)) {
+                continue;
+            }
+            if (query && !entry.name.toLowerCase().includes(query)) {
+                continue;
+            }
+            if (type && entry.type !== type) {
+                continue;
+            }
+            if (extensions.length > 0 && !extensions.includes(entry.ext)) {
+                continue;
+            }
+            if (categories.length > 0 && !categories.includes(entry.category)) {
+                continue;
+            }
+            if ((minSize !== undefined && entry.size < minSize) || (maxSize !== undefined && entry.size > maxSize)) {
+                continue;
+            }
+            if ((modifiedAfter !== undefined && entry.modifiedAt < modifiedAfter)
+                || (modifiedBefore !== undefined && entry.modifiedAt > modifiedBefore)) {
+                continue;
+            }
+            matches.push(entry);
+        }
+
+        const order = (a, b) => direction * (compare(sortValue(a, sort), sortValue(b, sort)) || compare(a.path, b.path));
+        matches.sort(order);
+        let start = 0;
+        if (options.cursor) {
+            const cursor = decodeCursor(options.cursor);
+            start = matches.findIndex((entry) => direction * (compare(sortValue(entry, sort), cursor.value) || compare(entry.path, cursor.path)) > 0);
+            if (start === -1) {
+                start = matches.length;
+            }
+        }
+        const results = matches.slice(start, start + limit);
+        const hasMore = start + limit < matches.length;
+        return {
+            results,
+            total: matches.length,
+            nextCursor: hasMore ? encodeCursor(results[results.length - 1], sort) : null,
+        };
+    }
+}
@@ -0,0 +1,1078 @@
+import crypto from 'crypto';
+import path from 'path';
+import { Readable } from 'stream';
+import { SftpDriver } from './drivers/sftp-driver.js';
+import { LocalDriver } from './drivers/local-driver.js';
+import { S3Driver } from './drivers/s3-driver.js';
+import { PathError, normalizeAdminPath, isRootPath, isInside, jailPath } from './path-jail.js';
+import { AdminStorageIndex } from './storage-index.js';
+import { ContentTypeService, SNIFF_BYTES } from './content-type.js';
+import { AudioAnalyzer, analyzeAudioStream } from './audio-analysis.js';
+import { encodeWaveform, decodeWaveform } from './waveform.js';
+import { uploadFileUrl } from './signed-urls.js';
+
+/**
+ * Storage drivers all expose the same interface, with absolute POSIX paths:
+ *
+ * - connect() / disconnect()
+ * - put(path, bufferOrReadable)            write a file (streams keep backpressure)
+ * - get(path) -> Buffer                    small files only (metadata, JSON)
+ * - getStream(path, { start, end })        readable for a byte range (inclusive end)
+ * - list(path) -> [{ name, type, size, modifyTime }]
+ * - stat(path) -> { size, modifyTime, isDirectory }
+ * - delete(path, { recursive })
+ * - mkdir(path)                            always recursive
+ * - rename(from, to)                       creates missing parent directories
+ * - copy(from, to)                         files or whole directories, creates parents
+ * - exists(path) -> boolean
+ * - realpath(path) -> string | null        symlinks resolved, null when missing
+ *
+ * Missing files are reported as errors with code 'ENOENT'.
+ */
+export function createStorageDriver(name = process.env.STORAGE_DRIVER || 'sftp') {
+    switch (name) {
+        case 'sftp':
+            return new SftpDriver();
+        case 'local':
+            return new LocalDriver();
+        case 's3':
+            return new S3Driver();
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected sftp, local or s3)`);
+    }
+}
+
+// Hidden folders at the admin root that belong to the server, not to users
+export const ADMIN_INTERNAL_DIRS = ['.trash', '.versions', '.studio', '.uploading'];
+const TRASH_DIR = '/.trash';
+const VERSIONS_DIR = '/.versions';
+const STUDIO_DIR = '/.studio';
+// Uploads in progress, also at the root of the demo / studio upload folders
+const UPLOADING_DIR = '/.uploading';
+
+// What to do when the destination of a move/copy already exists
+export const CONFLICT_POLICIES = ['fail', 'overwrite', 'suffix'];
+
+// Files without a known extension sniffed per listing; the rest wait for a later listing
+const LISTING_SNIFF_LIMIT = 50;
+// Audio analyses read whole files: keep the last ones per path + mtime
+const AUDIO_ANALYSIS_CACHE_SIZE = 500;
+// Cached peak data: next to uploads, with the version history for admin files
+const UPLOAD_WAVEFORM_SUFFIX = '.peaks.dat';
+const ADMIN_WAVEFORM_FILE = 'waveform.dat';
+// Contents of a multi-file upload folder
+export const UPLOAD_MANIFEST_FILE = 'manifest.json';
+
+// Zero-padded so chunk names sort by offset
+function chunkName(offset) {
+    return `${String(offset).padStart(16, '0')}.chunk`;
+}
+
+// Application-level storage (uploads, admin files, resumable staging) on top of a driver
+export class FileStorage {
+    constructor(driver = null) {
+        this.driverInstance = driver;
+        this.adminIndex = new AdminStorageIndex((relativePath) => this.listAdminFiles(relativePath));
+        this.contentTypes = new ContentTypeService();
+        this.audioAnalyses = new Map();
+        this.waveformJobs = new Map();
+    }
+
+    // Built on first use rather than at import time, when .env.local is not loaded yet
+    get driver() {
+        if (!this.driverInstance) {
+            this.driverInstance = createStorageDriver();
+        }
+        return this.driverInstance;
+    }
+
+    static getInstance() {
+        if (!FileStorage.instance) {
+            FileStorage.instance = new FileStorage();
+        }
+        return FileStorage.instance;
+    }
+
+    async connect() {
+        await this.driver.connect();
+    }
+
+    async disconnect() {
+        await this.driver.disconnect();
+    }
+
+    // Connection pool stats for drivers that have one (sftp)
+    stats() {
+        return {
+            driver: this.driver.name,
+            pool: this.driver.stats ? this.driver.stats() : null,
+            index: this.adminIndex.stats(),
+        };
+    }
+
+    adminBasePath() {
+        const adminBasePath = process.env.ADMIN_STORAGE_PATH || '/home/faji2535/admin-files';
+        return path.posix.normalize(adminBasePath).replace(/\/$/, '') || '/';
+    }
+
+    // Lexical jail only: rejects traversal, does not follow symlinks
+    adminPath(relativePath = '/') {
+        return jailPath(this.adminBasePath(), relativePath);
+    }
+
+    /**
+     * Full path for an admin-storage path, checked against symlink escapes.
+     * For paths that do not exist yet, the closest existing parent is checked.
+     */
+    async resolveAdminPath(relativePath = '/') {
+        const fullPath = this.adminPath(relativePath);
+        if (!this.driver.realpath) {
+            return fullPath;
+        }
+        if (!this.realAdminBasePath) {
+            this.realAdminBasePath = await this.driver.realpath(this.adminBasePath()) || this.adminBasePath();
+        }
+        let candidate = fullPath;
+        let real = await this.driver.realpath(candidate);
+        while (real === null && isInside(this.adminBasePath(), path.posix.dirname(candidate)) && candidate !== this.adminBasePath()) {
+            candidate = path.posix.dirname(candidate);
+            real = await this.driver.realpath(candidate);
+        }
+        if (real !== null && !isInside(this.realAdminBasePath, real)) {
+            throw new PathError('Path resolves outside of the storage root', 403);
+        }
+        return fullPath;
+    }
+
+    isInternalAdminPath(relativePath) {
+        const [first] = normalizeAdminPath(relativePath).split('/').filter(Boolean);
+        return ADMIN_INTERNAL_DIRS.includes(first);
+    }
+
+    // resolveAdminPath for paths coming from clients: server folders are off limits
+    async resolveUserAdminPath(relativePath = '/') {
+        if (this.isInternalAdminPath(relativePath)) {
+            throw new PathError('This folder is managed by the server', 403);
+        }
+        return await this.resolveAdminPath(relativePath);
+    }
+
+    // Demos and studio files are kept outside the public web root when
+    // UPLOAD_PRIVATE_PATH is set, and served through signed URLs (signed-urls.js)
+    uploadBasePath() {
+        return process.env.UPLOAD_PRIVATE_PATH || process.env.O2SWITCH_BASE_PATH;
+    }
+
+    uploadDirectory(type) {
+        return path.join(this.uploadBasePath(), type);
+    }
+
+    async resolveUploadPath(filename, type) {
+        if (type === 'admin') {
+            const remotePath = await this.resolveUserAdminPath(filename);
+            if (remotePath === this.adminBasePath()) {
+                throw new PathError('A file name is required');
+            }
+            return { remotePath, fileUrl: null };
+        }
+        return {
+            remotePath: path.join(this.uploadDirectory(type), filename),
+            fileUrl: uploadFileUrl(type, filename),
+        };
+    }
+
+    /**
+     * Move files uploaded before UPLOAD_PRIVATE_PATH was set out of the public
+     * web root (O2SWITCH_BASE_PATH). Returns the number of files moved.
+     */
+    async moveLegacyUploads(types) {
+        const publicBase = process.env.O2SWITCH_BASE_PATH;
+        if (!process.env.UPLOAD_PRIVATE_PATH || !publicBase || path.resolve(publicBase) === path.resolve(this.uploadBasePath())) {
+            return 0;
+        }
+        let moved = 0;
+        for (const type of types) {
+            const legacyDirectory = path.join(publicBase, type);
+            if (!(await this.driver.exists(legacyDirectory))) {
+                continue;
+            }
+            for (const entry of await this.driver.list(legacyDirectory)) {
+                if (entry.type !== 'file') {
+                    continue;
+                }
+                const target = path.join(this.uploadDirectory(type), entry.name);
+                if (await this.driver.exists(target)) {
+                    continue;
+                }
+                await this.driver.rename(path.join(legacyDirectory, entry.name), target);
+                moved++;
+            }
+        }
+        return moved;
+    }
+
+    async uploadFile(buffer, filename, type) {
+        const { remotePath, fileUrl } = await this.resolveUploadPath(filename, type);
+        await this.driver.put(remotePath, buffer);
+        return fileUrl || remotePath;
+    }
+
+    // Data goes to a `.part` file first so a failed upload never replaces an existing file
+    async uploadStream(source, filename, type, { uploadedBy } = {}) {
+        const { remotePath, fileUrl } = await this.resolveUploadPath(filename, type);
+        const partPath = this.uploadPartPath(type);
+        try {
+            await this.driver.put(partPath, source);
+        }
+        catch (error) {
+            await this.driver.delete(partPath).catch(() => { });
+            throw error;
+        }
+        try {
+            await this.releaseUploadTarget(remotePath, filename, type);
+        }
+        catch (error) {
+            await this.driver.delete(partPath).catch(() => { });
+            throw error;
+        }
+        await this.driver.rename(partPath, remotePath);
+        if (type === 'admin') {
+            await this.recordAdminUpload(filename, uploadedBy);
+        }
+        return fileUrl || remotePath;
+    }
+
+    // A random name in a hidden folder of the same storage area (so the final
+    // rename stays cheap): never listed, and never in the way of a user's file
+    uploadPartPath(type) {
+        const name = `${crypto.randomUUID()}.part`;
+        return type === 'admin'
+            ? this.adminPath(path.posix.join(UPLOADING_DIR, name))
+            : path.join(this.uploadBasePath(), UPLOADING_DIR, name);
+    }
+
+    // Parts left behind when the server stopped in the middle of an upload
+    async removeStaleUploadParts(maxAgeMs = 24 * 60 * 60 * 1000) {
+        let removed = 0;
+        for (const directory of [this.adminPath(UPLOADING_DIR), path.join(this.uploadBasePath(), UPLOADING_DIR)]) {
+            if (!(await this.driver.exists(directory))) {
+                continue;
+            }
+            for (const entry of await this.driver.list(directory)) {
+                if (Date.now() - entry.modifyTime > maxAgeMs) {
+                    await this.driver.delete(path.posix.join(directory, entry.name)).catch(() => { });
+                    removed++;
+                }
+            }
+        }
+        return removed;
+    }
+
+    // Make room for a new upload. Overwritten admin files are kept as a version;
+    // a folder is never replaced by a file.
+    async releaseUploadTarget(remotePath, filename, type) {
+        if (!(await this.driver.exists(remotePath))) {
+            return;
+        }
+        if ((await this.driver.stat(remotePath)).isDirectory) {
+            throw new PathError(`A folder already exists at ${filename}`, 409);
+        }
+        if (type === 'admin') {
+            await this.archiveAdminVersion(filename);
+            return;
+        }
+        await this.driver.delete(remotePath);
+    }
+
+    async deleteUploadedFile(filename, type) {
+        const { remotePath } = await this.resolveUploadPath(filename, type);
+        if (await this.driver.exists(remotePath)) {
+            await this.driver.delete(remotePath);
+        }
+        if (await this.driver.exists(`${remotePath}${UPLOAD_WAVEFORM_SUFFIX}`)) {
+            await this.driver.delete(`${remotePath}${UPLOAD_WAVEFORM_SUFFIX}`);
+        }
+    }
+
+    // Put a file stored under a temporary name in place of another one (and of its cached peaks)
+    async replaceUploadedFile(fromName, filename, type) {
+        const { remotePath: fromPath } = await this.resolveUploadPath(fromName, type);
+        const { remotePath } = await this.resolveUploadPath(filename, type);
+        await this.deleteUploadedFile(filename, type);
+        await this.driver.rename(fromPath, remotePath);
+    }
+
+    // Files stored for one upload type ([] until the first upload creates the folder)
+    async listUploadFiles(type) {
+        const directory = this.uploadDirectory(type);
+        if (!(await this.driver.exists(directory))) {
+            return [];
+        }
+        return (await this.driver.list(directory)).filter((entry) => entry.type === 'file');
+    }
+
+    // Multi-file uploads (stem packs) get a folder of their own in the upload directory
+    async listUploadFolders(type) {
+        const directory = this.uploadDirectory(type);
+        if (!(await this.driver.exists(directory))) {
+            return [];
+        }
+        return (await this.driver.list(directory)).filter((entry) => entry.type === 'directory');
+    }
+
+    async readUploadManifest(folder, type) {
+        const manifestPath = path.join(this.uploadFilePath(folder, type), UPLOAD_MANIFEST_FILE);
+        if (!(await this.driver.exists(manifestPath))) {
+            return null;
+        }
+        return JSON.parse((await this.driver.get(manifestPath)).toString('utf8'));
+    }
+
+    async writeUploadManifest(folder, type, manifest) {
+        const manifestPath = path.join(this.uploadFilePath(folder, type), UPLOAD_MANIFEST_FILE);
+        await this.driver.put(manifestPath, Buffer.from(JSON.stringify(manifest, null, 2)));
+    }
+
+    async deleteUploadFolder(folder, type) {
+        const folderPath = this.uploadFilePath(folder, type);
+        if (await this.driver.exists(folderPath)) {
+            await this.driver.delete(folderPath, { recursive: true });
+        }
+    }
+
+    // Peak data collected while the file was uploaded
+    async saveUploadWaveform(filename, type, waveform) {
+        const { remotePath } = await this.resolveUploadPath(filename, type);
+        await this.driver.put(`${remotePath}${UPLOAD_WAVEFORM_SUFFIX}`, encodeWaveform(waveform));
+    }
+
+    // Path of a demo / studio file named by a client
+    uploadFilePath(filename, type) {
+        if (type === 'admin' || !filename || path.posix.basename(filename) !== filename || filename.startsWith('.')) {
+            throw new PathError('Invalid file name');
+        }
+        return path.join(this.uploadDirectory(type), filename);
+    }
+
+    async statUploadFile(filename, type) {
+        const stat = await this.driver.stat(this.uploadFilePath(filename, type));
+        if (stat.isDirectory) {
+            throw new PathError('Invalid file name');
+        }
+        return stat;
+    }
+
+    createUploadReadStream(filename, type, options = {}) {
+        return this.driver.getStream(this.uploadFilePath(filename, type), options);
+    }
+
+    async getUploadWaveform(filename, type) {
+        const remotePath = this.uploadFilePath(filename, type);
+        return await this.loadWaveform(remotePath, `${remotePath}${UPLOAD_WAVEFORM_SUFFIX}`, () => this.driver.getStream(remotePath));
+    }
+
+    async getAdminWaveform(relativePath) {
+        const fullPath = await this.resolveUserAdminPath(relativePath);
+        return await this.loadWaveform(fullPath, this.versionsPath(relativePath, ADMIN_WAVEFORM_FILE),
+            () => this.createAdminReadStream(relativePath));
+    }
+
+    /**
+     * Cached waveform of a file, rebuilt when the cache is older than the file.
+     * Returns null for anything but PCM/float WAV and AIFF.
+     */
+    async loadWaveform(sourcePath, cachePath, openStream) {
+        const source = await this.driver.stat(sourcePath);
+        if (source.isDirectory) {
+            throw new PathError('Waveforms are only available for files');
+        }
+        const cache = await this.driver.stat(cachePath).catch(() => null);
+        if (cache && cache.modifyTime >= source.modifyTime) {
+            return decodeWaveform(await this.driver.get(cachePath));
+        }
+        // Concurrent first requests for one file share a single read
+        let job = this.waveformJobs.get(cachePath);
+        if (!job) {
+            job = this.buildWaveform(openStream(), cachePath).finally(() => this.waveformJobs.delete(cachePath));
+            this.waveformJobs.set(cachePath, job);
+        }
+        return await job;
+    }
+
+    async buildWaveform(stream, cachePath) {
+        const analyzer = new AudioAnalyzer({ waveform: true });
+        for await (const chunk of stream) {
+            analyzer.write(chunk);
+            if (analyzer.unreadable) {
+                // Not audio we can decode: stop reading
+                return null;
+            }
+        }
+        const waveform = analyzer.waveform();
+        if (waveform) {
+            await this.driver.put(cachePath, encodeWaveform(waveform));
+        }
+        return waveform;
+    }
+
+    async fileExists(filename, type) {
+        try {
+            return await this.driver.exists(path.join(this.uploadDirectory(type), filename));
+        }
+        catch {
+            return false;
+        }
+    }
+
+    // Resumable uploads: each PATCH is stored as its own chunk in a private
+    // staging directory, and the chunks are assembled once the upload is complete.
+    stagingPath(...segments) {
+        const stagingBasePath = process.env.UPLOAD_STAGING_PATH || '/home/faji2535/upload-staging';
+        return path.join(stagingBasePath, ...segments.map((segment) => path.basename(segment)));
+    }
+
+    async readStagingInfo(id) {
+        return JSON.parse((await this.driver.get(this.stagingPath(`${id}.json`))).toString('utf-8'));
+    }
+
+    async writeStagingInfo(id, info) {
+        await this.driver.put(this.stagingPath(`${id}.json`), Buffer.from(JSON.stringify(info)));
+    }
+
+    async listStagingUploads() {
+        if (!(await this.driver.exists(this.stagingPath()))) {
+            return [];
+        }
+        const list = await this.driver.list(this.stagingPath());
+        return list
+            .filter((item) => item.type === 'file' && item.name.endsWith('.json'))
+            .map((item) => item.name.slice(0, -'.json'.length));
+    }
+
+    async listStagingChunks(id) {
+        if (!(await this.driver.exists(this.stagingPath(id)))) {
+            return [];
+        }
+        const list = await this.driver.list(this.stagingPath(id));
+        return list
+            .filter((item) => item.name.endsWith('.chunk'))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async getStagingOffset(id) {
+        const chunks = await this.listStagingChunks(id);
+        return chunks.reduce((total, chunk) => total + chunk.size, 0);
+    }
+
+    // An interrupted chunk keeps the bytes that made it, so the offset stays contiguous
+    async writeStagingChunk(id, source, offset) {
+        await this.driver.put(this.stagingPath(id, chunkName(offset)), source);
+    }
+
+    // Sequential read across chunks
+    createStagingReadStream(id, chunks) {
+        const driver = this.driver;
+        const chunkPaths = chunks.map((chunk) => this.stagingPath(id, chunk.name));
+        return Readable.from((async function* () {
+            for (const chunkPath of chunkPaths) {
+                yield* driver.getStream(chunkPath);
+            }
+        })());
+    }
+
+    async readStagingHead(id, length) {
+        const chunks = await this.listStagingChunks(id);
+        const stream = this.createStagingReadStream(id, chunks);
+        const head = [];
+        let headLength = 0;
+        for await (const data of stream) {
+            head.push(data);
+            headLength += data.length;
+            if (headLength >= length) {
+                break;
+            }
+        }
+        stream.destroy();
+        return Buffer.concat(head).subarray(0, length);
+    }
+
+    // Assemble the chunks at their final upload destination
+    async commitStagingUpload(id, filename, type, { uploadedBy } = {}) {
+        const chunks = await this.listStagingChunks(id);
+        const { remotePath, fileUrl } = await this.resolveUploadPath(filename, type);
+        if (chunks.length === 1) {
+            await this.releaseUploadTarget(remotePath, filename, type);
+            await this.driver.rename(this.stagingPath(id, chunks[0].name), remotePath);
+            if (type === 'admin') {
+                await this.recordAdminUpload(filename, uploadedBy);
+            }
+        }
+        else {
+            await this.uploadStream(this.createStagingReadStream(id, chunks), filename, type, { uploadedBy });
+        }
+        await this.driver.delete(this.stagingPath(id), { recursive: true }).catch(() => { });
+        return fileUrl || remotePath;
+    }
+
+    async deleteStagingUpload(id) {
+        if (await this.driver.exists(this.stagingPath(id))) {
+            await this.driver.delete(this.stagingPath(id), { recursive: true });
+        }
+        if (await this.driver.exists(this.stagingPath(`${id}.json`))) {
+            await this.driver.delete(this.stagingPath(`${id}.json`));
+        }
+    }
+
+    // Admin-specific methods
+    /**
+     * Content types come from the extension or the cache. With `sniff`, files
+     * whose extension says nothing are also read (first bytes only).
+     */
+    async listAdminFiles(relativePath = '/', { sniff = false } = {}) {
+        const list = await this.driver.list(await this.resolveUserAdminPath(relativePath));
+        const basePath = normalizeAdminPath(relativePath);
+        const files = list
+            .filter((item) => basePath !== '/' || !ADMIN_INTERNAL_DIRS.includes(item.name))
+            .map((item) => {
+                const filename = path.posix.join(basePath, item.name);
+                const contentType = item.type === 'directory' ? null : this.contentTypes.peek(filename, item.modifyTime);
+                return {
+                    basename: item.name,
+                    filename,
+                    type: item.type,
+                    size: item.size,
+                    lastmod: new Date(item.modifyTime).toISOString(),
+                    mime: contentType?.mime,
+                    category: contentType?.category,
+                };
+            });
+        if (sniff) {
+            const unknown = files
+                .filter((file) => file.type === 'file' && file.mime === 'application/octet-stream')
+                .slice(0, LISTING_SNIFF_LIMIT);
+            for (const file of unknown) {
+                try {
+                    Object.assign(file, await this.detectAdminContentType(file.filename, {
+                        size: file.size,
+                        modifyTime: Date.parse(file.lastmod),
+                    }));
+                }
+                catch (error) {
+                    console.warn('⚠️ Could not sniff', file.filename, error.message);
+                }
+            }
+        }
+        return files;
+    }
+
+    // First bytes of a file, enough for magic-byte detection
+    async readAdminHead(relativePath, size, length = SNIFF_BYTES) {
+        if (size === 0) {
+            return Buffer.alloc(0);
+        }
+        const chunks = [];
+        for await (const chunk of this.createAdminReadStream(relativePath, { start: 0, end: Math.min(length, size ?? length) - 1 })) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * { mime, category } from extension + magic bytes, cached per path and mtime.
+     * `head` can be passed when the caller already has the first bytes.
+     */
+    async detectAdminContentType(relativePath, stat, head) {
+        const { mime, category } = await this.contentTypes.detect(normalizeAdminPath(relativePath), stat.modifyTime,
+            async () => head ? head.subarray(0, SNIFF_BYTES) : await this.readAdminHead(relativePath, stat.size));
+        return { mime, category };
+    }
+
+    /**
+     * Technical analysis of a WAV/AIFF file (null for other formats). Cached per
+     * path and mtime, and concurrent requests for one file share the same read.
+     */
+    async analyzeAdminAudio(relativePath) {
+        const stat = await this.statAdminFile(relativePath);
+        if (stat.isDirectory) {
+            throw new PathError('Cannot analyse a folder');
+        }
+        const key = `${normalizeAdminPath(relativePath)}\0${stat.modifyTime}`;
+        let analysis = this.audioAnalyses.get(key);
+        if (!analysis) {
+            analysis = analyzeAudioStream(this.createAdminReadStream(relativePath));
+            analysis.catch(() => this.audioAnalyses.delete(key));
+            this.audioAnalyses.set(key, analysis);
+            if (this.audioAnalyses.size > AUDIO_ANALYSIS_CACHE_SIZE) {
+                this.audioAnalyses.delete(this.audioAnalyses.keys().next().value);
+            }
+        }
+        return await analysis;
+    }
+
+    async downloadAdminFile(relativePath) {
+        return await this.driver.get(await this.resolveUserAdminPath(relativePath));
+    }
+
+    async statAdminFile(relativePath) {
+        return await this.driver.stat(await this.resolveUserAdminPath(relativePath));
+    }
+
+    // Read a byte range (inclusive end) without loading the file in memory.
+    // Callers resolve the path first (statAdminFile) so symlinks are checked.
+    createAdminReadStream(relativePath, options = {}) {
+        if (this.isInternalAdminPath(relativePath)) {
+            throw new PathError('This folder is managed by the server', 403);
+        }
+        return this.driver.getStream(this.adminPath(relativePath), options);
+    }
+
+    // Permanent delete; the admin routes go through trashAdminFile instead
+    async deleteAdminFile(relativePath) {
+        if (isRootPath(relativePath)) {
+            throw new PathError('Cannot delete the storage root', 403);
+        }
+        await this.driver.delete(await this.resolveUserAdminPath(relativePath), { recursive: true });
+        this.adminIndex.remove(normalizeAdminPath(relativePath));
+    }
+
+    async createAdminDirectory(relativePath) {
+        await this.driver.mkdir(await this.resolveUserAdminPath(relativePath));
+        await this.indexAdminPath(relativePath);
+    }
+
+    // Bring the search index up to date for one path (and its subtree with `recursive`).
+    // Best effort: a failure here only delays the change until the next rescan.
+    async indexAdminPath(relativePath, { recursive = false } = {}) {
+        const relPath = normalizeAdminPath(relativePath);
+        try {
+            const stat = await this.driver.stat(this.adminPath(relPath));
+            this.adminIndex.upsert({
+                basename: path.posix.basename(relPath),
+                filename: relPath,
+                type: stat.isDirectory ? 'directory' : 'file',
+                size: stat.size,
+                lastmod: new Date(stat.modifyTime).toISOString(),
+                category: stat.isDirectory ? null : this.contentTypes.peek(relPath, stat.modifyTime).category,
+            });
+            if (stat.isDirectory && recursive) {
+                await this.adminIndex.refresh(relPath);
+            }
+        }
+        catch (error) {
+            console.warn('⚠️ Could not index', relPath, error.message);
+        }
+    }
+
+    /**
+     * Apply the conflict policy to a move/copy destination and return the
+     * relative path to use: 'fail' throws a 409, 'overwrite' archives the
+     * existing file as a version (only a file can overwrite a file), 'suffix'
+     * picks "name (1).ext", "name (2).ext", ...
+     */
+    async resolveAdminConflict(relativePath, conflict = 'fail', isDirectory = false) {
+        if (!CONFLICT_POLICIES.includes(conflict)) {
+            throw new PathError(`Conflict policy must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+        }
+        const fullPath = await this.resolveUserAdminPath(relativePath);
+        if (!(await this.driver.exists(fullPath))) {
+            return relativePath;
+        }
+        if (conflict === 'fail') {
+            throw new PathError(`Destination already exists: ${relativePath}`, 409);
+        }
+        if (conflict === 'overwrite') {
+            if ((await this.driver.stat(fullPath)).isDirectory) {
+                throw new PathError(`Cannot overwrite a folder: ${relativePath}`, 409);
+            }
+            if (isDirectory) {
+                throw new PathError(`Cannot replace a file with a folder: ${relativePath}`, 409);
+            }
+            await this.archiveAdminVersion(relativePath);
+            // Whoever uploaded the replaced file did not upload what comes next
+            await this.driver.delete(this.versionsPath(relativePath, 'current.json')).catch(() => { });
+            this.adminIndex.remove(normalizeAdminPath(relativePath));
+            return relativePath;
+        }
+        const { dir, base, name, ext } = path.posix.parse(relativePath);
+        for (let i = 1; ; i++) {
+            const candidate = path.posix.join(dir, isDirectory ? `${base} (${i})` : `${name} (${i})${ext}`);
+            if (!(await this.driver.exists(this.adminPath(candidate)))) {
+                return candidate;
+            }
+        }
+    }
+
+    // Shared by move and copy; works on files and whole directories
+    async transferAdminFile(operation, fromPath, toPath, { conflict = 'fail' } = {}) {
+        const from = normalizeAdminPath(fromPath);
+        const requested = normalizeAdminPath(toPath);
+        if (from === '/' || requested === '/') {
+            throw new PathError(`Cannot ${operation} the storage root`, 403);
+        }
+        if (from === requested && (operation === 'move' || conflict !== 'suffix')) {
+            throw new PathError('Source and destination are the same');
+        }
+        if (isInside(from, requested)) {
+            throw new PathError(`Cannot ${operation} a folder into itself`);
+        }
+        if (conflict === 'overwrite' && isInside(requested, from)) {
+            throw new PathError('Cannot overwrite a folder that contains the source');
+        }
+        const source = await this.resolveUserAdminPath(from);
+        const stat = await this.driver.stat(source);
+        const to = await this.resolveAdminConflict(requested, conflict, stat.isDirectory);
+        const target = await this.resolveUserAdminPath(to);
+        if (operation === 'move') {
+            await this.driver.rename(source, target);
+            this.adminIndex.move(from, to);
+            await this.moveAdminVersions(from, to, { isDirectory: stat.isDirectory });
+        }
+        else {
+            await this.driver.copy(source, target);
+            await this.indexAdminPath(to, { recursive: true });
+        }
+        return { from, to, isDirectory: stat.isDirectory };
+    }
+
+    async moveAdminFile(fromPath, toPath, options) {
+        return await this.transferAdminFile('move', fromPath, toPath, options);
+    }
+
+    async copyAdminFile(fromPath, toPath, options) {
+        return await this.transferAdminFile('copy', fromPath, toPath, options);
+    }
+
+    // Trash: deleted items are moved to /.trash/<id>/<name>, with their
+    // original path, deleter and date in /.trash/<id>.json
+    trashPath(...segments) {
+        return this.adminPath(path.posix.join(TRASH_DIR, ...segments.map((segment) => path.posix.basename(segment))));
+    }
+
+    async trashAdminFile(relativePath, deletedBy = {}) {
+        const originalPath = normalizeAdminPath(relativePath);
+        if (originalPath === '/') {
+            throw new PathError('Cannot delete the storage root', 403);
+        }
+        const source = await this.resolveUserAdminPath(originalPath);
+        const stat = await this.driver.stat(source);
+        const item = {
+            id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+            name: path.posix.basename(originalPath),
+            originalPath,
+            isDirectory: stat.isDirectory,
+            size: stat.isDirectory ? null : stat.size,
+            deletedBy: deletedBy.id || null,
+            deletedByEmail: deletedBy.email || null,
+            deletedAt: new Date().toISOString(),
+        };
+        // Metadata first, so an item in the trash is never without its original path
+        await this.driver.put(this.trashPath(`${item.id}.json`), Buffer.from(JSON.stringify(item)));
+        try {
+            await this.driver.rename(source, this.trashPath(item.id, item.name));
+        }
+        catch (error) {
+            await this.driver.delete(this.trashPath(`${item.id}.json`)).catch(() => { });
+            throw error;
+        }
+        this.adminIndex.remove(originalPath);
+        return item;
+    }
+
+    async readTrashItem(id) {
+        if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) {
+            throw new PathError('Invalid trash item id');
+        }
+        try {
+            return JSON.parse((await this.driver.get(this.trashPath(`${id}.json`))).toString('utf-8'));
+        }
+        catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new PathError('Trash item not found', 404);
+            }
+            throw error;
+        }
+    }
+
+    // Newest first
+    async listAdminTrash() {
+        if (!(await this.driver.exists(this.trashPath()))) {
+            return [];
+        }
+        const list = await this.driver.list(this.trashPath());
+        const items = [];
+        for (const entry of list) {
+            if (entry.type !== 'file' || !entry.name.endsWith('.json')) {
+                continue;
+            }
+            try {
+                items.push(await this.readTrashItem(entry.name.slice(0, -'.json'.length)));
+            }
+            catch (error) {
+                console.warn('⚠️ Unreadable trash metadata:', entry.name, error.message);
+            }
+        }
+        return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    // Put an item back at its original path (or `targetPath`), applying the conflict policy
+    async restoreAdminTrash(id, { targetPath, conflict = 'fail' } = {}) {
+        const item = await this.readTrashItem(id);
+        const requested = normalizeAdminPath(targetPath || item.originalPath);
+        if (requested === '/') {
+            throw new PathError('Cannot restore over the storage root', 403);
+        }
+        const to = await this.resolveAdminConflict(requested, conflict, item.isDirectory);
+        await this.driver.rename(this.trashPath(id, item.name), await this.resolveUserAdminPath(to));
+        await this.indexAdminPath(to, { recursive: true });
+        if (to !== item.originalPath && !(await this.driver.exists(this.adminPath(item.originalPath)))) {
+            await this.moveAdminVersions(item.originalPath, to, { isDirectory: item.isDirectory });
+        }
+        await this.purgeAdminTrash(id);
+        return { ...item, restoredPath: to };
+    }
+
+    async purgeAdminTrash(id) {
+        const item = await this.readTrashItem(id);
+        if (await this.driver.exists(this.trashPath(id))) {
+            await this.driver.delete(this.trashPath(id), { recursive: true });
+        }
+        await this.driver.delete(this.trashPath(`${id}.json`));
+        // The history goes too, unless something was put back at that path
+        if (!(await this.driver.exists(this.adminPath(item.originalPath)))) {
+            await this.deleteAdminVersions(item.originalPath);
+        }
+        return item;
+    }
+
+    // Permanently delete trash items older than the retention window
+    async purgeExpiredAdminTrash(retentionDays = parseFloat(process.env.TRASH_RETENTION_DAYS || '30')) {
+        if (!(retentionDays > 0)) {
+            return 0;
+        }
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        let removed = 0;
+        for (const item of await this.listAdminTrash()) {
+            if (Date.parse(item.deletedAt) < cutoff) {
+                await this.purgeAdminTrash(item.id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    // Studio request workspaces: revision files are copied in from admin storage
+    // and only managed by the server, so a delivered file cannot change afterwards
+    studioPath(requestId, revision, ...segments) {
+        const names = [String(requestId), `v${revision}`, ...segments];
+        if (names.some((name) => !name || name !== path.posix.basename(name) || name === '.' || name === '..')) {
+            throw new PathError('Invalid file name');
+        }
+        return this.adminPath(path.posix.join(STUDIO_DIR, ...names));
+    }
+
+    async addStudioRevisionFile(fromPath, requestId, revision) {
+        const source = await this.resolveUserAdminPath(fromPath);
+        const stat = await this.driver.stat(source);
+        if (stat.isDirectory) {
+            throw new PathError('Only files can be posted in a revision');
+        }
+        const name = path.posix.basename(source);
+        await this.driver.copy(source, this.studioPath(requestId, revision, name));
+        return { name, size: stat.size };
+    }
+
+    async statStudioFile(requestId, revision, name) {
+        return await this.driver.stat(this.studioPath(requestId, revision, name));
+    }
+
+    createStudioReadStream(requestId, revision, name, options = {}) {
+        return this.driver.getStream(this.studioPath(requestId, revision, name), options);
+    }
+
+    async deleteStudioRevision(requestId, revision) {
+        const revisionPath = this.studioPath(requestId, revision);
+        if (await this.driver.exists(revisionPath)) {
+            await this.driver.delete(revisionPath, { recursive: true });
+        }
+    }
+
+    // Versions: when an admin file is overwritten, the previous content moves to
+    // /.versions/<path>/v<n> with v<n>.json next to it. current.json records who
+    // uploaded the live file, so that it can be credited once it becomes a version.
+    versionsPath(relativePath, ...segments) {
+        return this.adminPath(path.posix.join(VERSIONS_DIR, normalizeAdminPath(relativePath), ...segments));
+    }
+
+    async readVersionsJson(relativePath, name) {
+        try {
+            return JSON.parse((await this.driver.get(this.versionsPath(relativePath, name))).toString('utf-8'));
+        }
+        catch (error) {
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Bookkeeping after a new admin file is in place: uploader and search index
+    async recordAdminUpload(relativePath, uploadedBy = {}) {
+        await this.driver.put(this.versionsPath(relativePath, 'current.json'), Buffer.from(JSON.stringify({
+            uploadedBy: uploadedBy.id || null,
+            uploadedByEmail: uploadedBy.email || null,
+            uploadedAt: new Date().toISOString(),
+        })));
+        await this.indexAdminPath(relativePath);
+    }
+
+    // Newest first; `current` describes the live file
+    async listAdminVersions(relativePath) {
+        await this.resolveUserAdminPath(relativePath);
+        const current = await this.readVersionsJson(relativePath, 'current.json');
+        if (!(await this.driver.exists(this.versionsPath(relativePath)))) {
+            return { current, versions: [] };
+        }
+        const list = await this.driver.list(this.versionsPath(relativePath));
+        const versions = [];
+        for (const entry of list) {
+            const match = /^v(\d+)$/.exec(entry.name);
+            if (entry.type !== 'file' || !match) {
+                continue;
+            }
+            const info = await this.readVersionsJson(relativePath, `${entry.name}.json`);
+            versions.push({
+                version: parseInt(match[1]),
+                size: entry.size,
+                modifiedAt: info?.modifiedAt || new Date(entry.modifyTime).toISOString(),
+                uploadedBy: info?.uploadedBy || null,
+                uploadedByEmail: info?.uploadedByEmail || null,
+                uploadedAt: info?.uploadedAt || null,
+                archivedAt: info?.archivedAt || null,
+            });
+        }
+        return { current, versions: versions.sort((a, b) => b.version - a.version) };
+    }
+
+    // Move the live file into the next version slot, then apply the cap
+    async archiveAdminVersion(relativePath) {
+        const fullPath = await this.resolveUserAdminPath(relativePath);
+        const { current, versions } = await this.listAdminVersions(relativePath);
+        const version = (versions[0]?.version || 0) + 1;
+        const stat = await this.driver.stat(fullPath);
+        await this.driver.rename(fullPath, this.versionsPath(relativePath, `v${version}`));
+        await this.driver.put(this.versionsPath(relativePath, `v${version}.json`), Buffer.from(JSON.stringify({
+            version,
+            size: stat.size,
+            modifiedAt: new Date(stat.modifyTime).toISOString(),
+            uploadedBy: current?.uploadedBy || null,
+            uploadedByEmail: current?.uploadedByEmail || null,
+            uploadedAt: current?.uploadedAt || null,
+            archivedAt: new Date().toISOString(),
+        })));
+        await this.pruneAdminVersions(relativePath);
+        return version;
+    }
+
+    async pruneAdminVersions(relativePath, maxVersions = parseInt(process.env.MAX_FILE_VERSIONS || '10')) {
+        const { versions } = await this.listAdminVersions(relativePath);
+        for (const { version } of versions.slice(Math.max(maxVersions, 0))) {
+            await this.driver.delete(this.versionsPath(relativePath, `v${version}`)).catch(() => { });
+            await this.driver.delete(this.versionsPath(relativePath, `v${version}.json`)).catch(() => { });
+        }
+    }
+
+    async statAdminVersion(relativePath, version) {
+        await this.resolveUserAdminPath(relativePath);
+        if (!Number.isInteger(version) || version < 1) {
+            throw new PathError('Version must be a positive integer');
+        }
+        try {
+            return await this.driver.stat(this.versionsPath(relativePath, `v${version}`));
+        }
+        catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new PathError('Version not found', 404);
+            }
+            throw error;
+        }
+    }
+
+    // Callers check the version with statAdminVersion first
+    createAdminVersionReadStream(relativePath, version, options = {}) {
+        return this.driver.getStream(this.versionsPath(relativePath, `v${version}`), options);
+    }
+
+    /**
+     * Make an old version the live file again. The current content is archived
+     * as a new version first, so promoting can itself be undone.
+     */
+    async promoteAdminVersion(relativePath, version, uploadedBy) {
+        await this.statAdminVersion(relativePath, version);
+        const fullPath = await this.resolveUserAdminPath(relativePath);
+        const partPath = this.uploadPartPath('admin');
+        await this.driver.copy(this.versionsPath(relativePath, `v${version}`), partPath);
+        await this.releaseUploadTarget(fullPath, relativePath, 'admin');
+        await this.driver.rename(partPath, fullPath);
+        await this.recordAdminUpload(relativePath, uploadedBy);
+    }
+
+    // Keep a file's (or a whole folder's) history attached to it when it moves.
+    // A file moved over another one keeps the replaced file's history too.
+    async moveAdminVersions(fromPath, toPath, { isDirectory = true } = {}) {
+        try {
+            if (!(await this.driver.exists(this.versionsPath(fromPath)))) {
+                return;
+            }
+            if (!isDirectory && (await this.listAdminVersions(toPath)).versions.length > 0) {
+                await this.appendAdminVersions(fromPath, toPath);
+                return;
+            }
+            await this.deleteAdminVersions(toPath);
+            await this.driver.rename(this.versionsPath(fromPath), this.versionsPath(toPath));
+        }
+        catch (error) {
+            console.warn('⚠️ Could not move version history:', fromPath, '→', toPath, error.message);
+        }
+    }
+
+    // Renumber a file's versions after those already kept at `toPath`
+    async appendAdminVersions(fromPath, toPath) {
+        const { current, versions } = await this.listAdminVersions(fromPath);
+        let next = (await this.listAdminVersions(toPath)).versions[0].version;
+        for (const { version } of [...versions].reverse()) {
+            next++;
+            const info = await this.readVersionsJson(fromPath, `v${version}.json`);
+            await this.driver.rename(this.versionsPath(fromPath, `v${version}`), this.versionsPath(toPath, `v${next}`));
+            if (info) {
+                await this.driver.put(this.versionsPath(toPath, `v${next}.json`), Buffer.from(JSON.stringify({ ...info, version: next })));
+            }
+        }
+        if (current) {
+            await this.driver.put(this.versionsPath(toPath, 'current.json'), Buffer.from(JSON.stringify(current)));
+        }
+        await this.deleteAdminVersions(fromPath);
+        await this.pruneAdminVersions(toPath);
+    }
+
+    async deleteAdminVersions(relativePath) {
+        if (await this.driver.exists(this.versionsPath(relativePath))) {
+            await this.driver.delete(this.versionsPath(relativePath), { recursive: true });
+        }
+    }
+
+    /**
+     * Search the in-memory index (see storage-index.js for the options).
+     * Returns null while the first scan has not finished yet.
+     */
+    searchAdminFiles(relativePath, options = {}) {
+        if (this.isInternalAdminPath(relativePath)) {
+            throw new PathError('This folder is managed by the server', 403);
+        }
+        if (!this.adminIndex.ready) {
+            return null;
+        }
+        return this.adminIndex.search({ ...options, path: normalizeAdminPath(relativePath) });
+    }
+}
+
+FileStorage.instance = null;
@@ -0,0 +1,197 @@
+import { Transform } from 'stream';
+import multer from 'multer';
+import { FileStorage } from './storage.js';
+import { PathError } from './path-jail.js';
+import { SNIFF_BYTES } from './content-type.js';
+import { AudioSpecError } from './audio-analysis.js';
+
+export class UploadError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+    }
+}
+
+// Counts bytes and holds the first chunk(s) back until they have been inspected.
+// Nothing reaches storage before the magic bytes are validated.
+// An optional analyzer sees every chunk and reports once the file has been read.
+class UploadInspector extends Transform {
+    constructor({ maxSize, tooLargeMessage, inspect, analyzer }) {
+        super();
+        this.maxSize = maxSize;
+        this.tooLargeMessage = tooLargeMessage;
+        this.inspect = inspect;
+        this.analyzer = analyzer;
+        this.analysis = null;
+        this.bytes = 0;
+        this.head = [];
+        this.headLength = 0;
+        this.inspected = !inspect;
+    }
+
+    _transform(chunk, _encoding, callback) {
+        this.bytes += chunk.length;
+        if (this.maxSize && this.bytes > this.maxSize) {
+            return callback(new UploadError(this.tooLargeMessage || 'File too large', 400));
+        }
+        if (this.analyzer) {
+            try {
+                this.analyzer.write(chunk);
+            }
+            catch (error) {
+                return callback(error);
+            }
+        }
+        if (this.inspected) {
+            return callback(null, chunk);
+        }
+        this.head.push(chunk);
+        this.headLength += chunk.length;
+        if (this.headLength < SNIFF_BYTES) {
+            return callback();
+        }
+        this.runInspection(callback);
+    }
+
+    _flush(callback) {
+        const finish = (error, head) => {
+            if (error || !this.analyzer) {
+                return callback(error, head);
+            }
+            // Rejecting here fails the storage write, so the partial file is removed
+            Promise.resolve().then(() => this.analyzer.finish()).then((analysis) => {
+                this.analysis = analysis;
+                callback(null, head);
+            }, callback);
+        };
+        if (this.inspected) {
+            return finish();
+        }
+        this.runInspection(finish);
+    }
+
+    runInspection(callback) {
+        this.inspected = true;
+        const head = Buffer.concat(this.head);
+        this.head = [];
+        Promise.resolve(this.inspect(head)).then(() => callback(null, head), callback);
+    }
+}
+
+/**
+ * Multer storage engine that pipes each file straight into a storage write stream.
+ *
+ * `prepare(req, file)` runs when the file part starts (auth, quota, target
+ * name) and returns `{ filename, type, maxSize?, tooLargeMessage?, uploadedBy? }`.
+ * `inspect(head, req, target)` receives the first bytes and throws an
+ * UploadError to reject the file before anything is written.
+ * `analyze(req, target)` may return `{ write(chunk), finish(), waveform?() }`: it
+ * is fed the whole file, can throw to abort it, and `finish()`'s result is
+ * `file.analysis` (`waveform()`'s is `file.waveform`).
+ * With `tolerateErrors`, a file that fails is reported as `file.error` instead
+ * of failing the whole request (multi-file uploads).
+ */
+export function createStreamingStorage({ prepare, inspect, analyze, tolerateErrors = false }) {
+    return {
+        _handleFile(req, file, callback) {
+            // Multer's fileSize limit ends the stream early without an error (possibly
+            // during prepare): fail the write so the truncated `.part` never replaces the target
+            let truncated = false;
+            const tooLarge = () => new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname);
+            file.stream.once('limit', () => {
+                truncated = true;
+            });
+            (async () => {
+                const target = await prepare(req, file);
+                const inspector = new UploadInspector({
+                    maxSize: target.maxSize,
+                    tooLargeMessage: target.tooLargeMessage,
+                    inspect: inspect ? (head) => inspect(head, req, target) : null,
+                    analyzer: analyze ? analyze(req, target) : null,
+                });
+                file.stream.on('error', (error) => inspector.destroy(error));
+                if (truncated) {
+                    inspector.destroy(tooLarge());
+                }
+                file.stream.on('limit', () => inspector.destroy(tooLarge()));
+                // The inspector can fail before the driver starts reading it;
+                // the error is reported through `inspector.errored` below
+                inspector.on('error', () => { });
+                file.stream.pipe(inspector);
+
+                const storage = FileStorage.getInstance();
+                await storage.connect();
+                try {
+                    const url = await storage.uploadStream(inspector, target.filename, target.type, { uploadedBy: target.uploadedBy });
+                    return {
+                        url,
+                        filename: target.filename,
+                        type: target.type,
+                        size: inspector.bytes,
+                        analysis: inspector.analysis,
+                        waveform: inspector.analyzer?.waveform?.() || null,
+                    };
+                }
+                catch (error) {
+                    throw inspector.errored || error;
+                }
+                finally {
+                    // Drain whatever is left so busboy can finish parsing the request
+                    file.stream.resume();
+                }
+            })().then((info) => callback(null, info), (error) => {
+                file.stream.resume();
+                if (tolerateErrors) {
+                    console.error(`❌ Upload of ${file.originalname} failed:`, error.message);
+                    // No filename: nothing for _removeFile to delete
+                    return callback(null, { error });
+                }
+                callback(error);
+            });
+        },
+
+        _removeFile(_req, file, callback) {
+            // Only reached for files that made it to storage before another part failed
+            if (!file.filename || !file.type) {
+                return callback(null);
+            }
+            FileStorage.getInstance()
+                .deleteUploadedFile(file.filename, file.type)
+                .then(() => callback(null), callback);
+        },
+    };
+}
+
+/**
+ * Wrap a multer middleware so storage and limit errors become JSON responses.
+ * `cleanup(req)` runs before the error response (e.g. to release a reservation).
+ */
+export function handleUploadErrors(middleware, { cleanup } = {}) {
+    return (req, res, next) => {
+        middleware(req, res, async (error) => {
+            if (!error) {
+                return next();
+            }
+            console.error('❌ Upload stream error:', error);
+            if (cleanup) {
+                await Promise.resolve()
+                    .then(() => cleanup(req))
+                    .catch((cleanupError) => console.error('❌ Upload cleanup failed:', cleanupError));
+            }
+            if (error instanceof AudioSpecError) {
+                return res.status(error.status).json({ error: error.message, violations: error.violations });
+            }
+            if (error instanceof UploadError || error instanceof PathError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            if (error instanceof multer.MulterError) {
+                const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+                return res.status(status).json({ error: error.message });
+            }
+            res.status(500).json({
+                error: error instanceof Error ? error.message : 'Upload failed',
+            });
+        });
+    };
+}
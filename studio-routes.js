@@ -0,0 +1,176 @@
+import express from 'express';
+import { createClient } from '@supabase/supabase-js';
+import { FileStorage } from './storage.js';
+import { PathError, storageErrorStatus } from './path-jail.js';
+import { sendRangedFile } from './http-range.js';
+import { mimeFromExtension } from './content-type.js';
+import { verifySignedUrl } from './signed-urls.js';
+import { StudioError, getStudioRequest, getWorkspace, postRevision, respondToRevision, deleteRevision, getRevisionFile, studioFilePath, } from './studio-workspace.js';
+// Helper function to get Supabase admin client
+function getSupabaseAdminClient() {
+    if (!process.env.VITE_SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+        throw new Error('Supabase admin credentials not configured');
+    }
+    return createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false
+        }
+    });
+}
+// Check if user is admin using admin client to bypass RLS
+async function isAdminUser(user) {
+    const supabaseAdmin = getSupabaseAdminClient();
+    const { data: profiles } = await supabaseAdmin
+        .from('profiles')
+        .select('*')
+        .eq('id', user.id);
+    return !!profiles && profiles.length > 0 && profiles[0].role === 'admin';
+}
+function sendError(res, error, fallback) {
+    if (error instanceof StudioError || error instanceof PathError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    const status = storageErrorStatus(error);
+    res.status(status).json({ error: status === 404 ? 'File not found' : fallback });
+}
+/**
+ * Studio request workspaces (mounted at /api/studio):
+ *
+ * - GET    /:requestId                                   revisions, with signed file URLs
+ * - POST   /:requestId/revisions                         { files: [admin paths], notes } (engineer)
+ * - DELETE /:requestId/revisions/:number                 withdraw an unanswered revision (engineer)
+ * - POST   /:requestId/revisions/:number/approve         final deliverable, locks the workspace (client)
+ * - POST   /:requestId/revisions/:number/request-changes { notes } (client)
+ * - GET    /:requestId/revisions/:number/files/:name     signed URL, supports Range
+ *
+ * Engineers are admins; the client is the owner of the studio request, and
+ * must still have studio access (`checkStudioAccess(userId)`).
+ */
+export function createStudioRouter({ authenticate, checkStudioAccess }) {
+    const router = express.Router();
+    // The request and the caller's role in it, or null once an error was sent
+    async function authorize(req, res, { engineer = false, client = false } = {}) {
+        const user = await authenticate(req);
+        if (!user) {
+            res.status(401).json({ error: 'Unauthorized' });
+            return null;
+        }
+        const request = await getStudioRequest(req.params.requestId);
+        const admin = await isAdminUser(user);
+        const owner = request.user_id === user.id && await checkStudioAccess(user.id);
+        if ((engineer && !admin) || (client && !owner) || (!admin && !owner)) {
+            // Same answer as a missing request for anyone who is not part of it
+            res.status(admin || owner ? 403 : 404).json({ error: admin || owner ? 'Access denied' : 'Studio request not found' });
+            return null;
+        }
+        return { user, request, admin };
+    }
+    router.get('/:requestId', async (req, res) => {
+        try {
+            if (!(await authorize(req, res))) {
+                return;
+            }
+            const workspace = await getWorkspace(req.params.requestId);
+            res.json({ success: true, workspace });
+        }
+        catch (error) {
+            console.error('Error getting studio workspace:', error);
+            sendError(res, error, 'Failed to get workspace');
+        }
+    });
+    router.post('/:requestId/revisions', async (req, res) => {
+        try {
+            const access = await authorize(req, res, { engineer: true });
+            if (!access) {
+                return;
+            }
+            const { files, notes } = req.body;
+            const revision = await postRevision(req.params.requestId, { id: access.user.id, email: access.user.email }, { files, notes });
+            console.log(`🎚️ Revision v${revision.number} posted for studio request ${req.params.requestId} by ${access.user.email}`);
+            res.status(201).json({ success: true, revision });
+        }
+        catch (error) {
+            console.error('Error posting revision:', error);
+            sendError(res, error, 'Failed to post revision');
+        }
+    });
+    router.delete('/:requestId/revisions/:number', async (req, res) => {
+        try {
+            if (!(await authorize(req, res, { engineer: true }))) {
+                return;
+            }
+            await deleteRevision(req.params.requestId, req.params.number);
+            res.json({ success: true, message: 'Revision deleted' });
+        }
+        catch (error) {
+            console.error('Error deleting revision:', error);
+            sendError(res, error, 'Failed to delete revision');
+        }
+    });
+    router.post('/:requestId/revisions/:number/approve', async (req, res) => {
+        try {
+            const access = await authorize(req, res, { client: true });
+            if (!access) {
+                return;
+            }
+            const revision = await respondToRevision(req.params.requestId, req.params.number, access.user, {
+                decision: 'approved',
+                notes: req.body.notes,
+            });
+            console.log(`✅ Revision v${revision.number} approved for studio request ${req.params.requestId}`);
+            res.json({ success: true, revision });
+        }
+        catch (error) {
+            console.error('Error approving revision:', error);
+            sendError(res, error, 'Failed to approve revision');
+        }
+    });
+    router.post('/:requestId/revisions/:number/request-changes', async (req, res) => {
+        try {
+            const access = await authorize(req, res, { client: true });
+            if (!access) {
+                return;
+            }
+            const revision = await respondToRevision(req.params.requestId, req.params.number, access.user, {
+                decision: 'changes_requested',
+                notes: req.body.notes,
+            });
+            res.json({ success: true, revision });
+        }
+        catch (error) {
+            console.error('Error requesting changes:', error);
+            sendError(res, error, 'Failed to request changes');
+        }
+    });
+    // Signed URLs come with the workspace listing, so <audio> tags can use them directly
+    router.get('/:requestId/revisions/:number/files/:name', async (req, res) => {
+        try {
+            const { requestId, number, name } = req.params;
+            const validation = verifySignedUrl(studioFilePath(requestId, number, name), req.query);
+            if (!validation.valid) {
+                return res.status(403).json({ error: validation.reason });
+            }
+            const { revision, file } = await getRevisionFile(requestId, number, name);
+            const storage = FileStorage.getInstance();
+            await storage.connect();
+            const stat = await storage.statStudioFile(requestId, revision.number, file.name);
+            const disposition = req.query.download === '1' ? 'attachment' : 'inline';
+            sendRangedFile(req, res, {
+                stat,
+                contentType: mimeFromExtension(file.name) || 'application/octet-stream',
+                disposition: `${disposition}; filename="${encodeURIComponent(`v${revision.number} - ${file.name}`)}"`,
+                cacheControl: `private, max-age=${Math.max(Math.floor((validation.expiresAt - Date.now()) / 1000), 0)}`,
+                openStream: (range) => storage.createStudioReadStream(requestId, revision.number, file.name, range),
+            });
+        }
+        catch (error) {
+            console.error('Error streaming revision file:', error);
+            if (res.headersSent) {
+                return res.destroy();
+            }
+            sendError(res, error, 'Failed to get file');
+        }
+    });
+    return router;
+}
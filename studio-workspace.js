@@ -0,0 +1,302 @@
+import { createClient } from '@supabase/supabase-js';
+import { FileStorage } from './storage.js';
+import { signUrl } from './signed-urls.js';
+// Studio request workspaces: numbered revisions (studio_request_revisions:
+// request_id, number, status, notes, files, created_by, created_by_email,
+// client_notes, responded_by, responded_at, created_at) whose files are copied
+// from admin storage into the server-managed /.studio folder.
+// Helper function to get Supabase admin client (uses service key, bypasses RLS)
+function getSupabaseAdminClient() {
+    if (!process.env.VITE_SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+        throw new Error('Supabase admin credentials not configured');
+    }
+    return createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false
+        }
+    });
+}
+// 'preparing' rows hold a revision number while its files are being copied.
+// Approving a revision makes it the final deliverable and locks the workspace.
+export const REVISION_STATUSES = ['review', 'changes_requested', 'approved'];
+const MAX_REVISION_FILES = 50;
+const MAX_NOTES_LENGTH = 5000;
+export class StudioError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'StudioError';
+        this.status = status;
+    }
+}
+function readNotes(value, { required = false } = {}) {
+    const notes = typeof value === 'string' ? value.trim() : '';
+    if (required && !notes) {
+        throw new StudioError('Notes are required');
+    }
+    if (notes.length > MAX_NOTES_LENGTH) {
+        throw new StudioError(`Notes must be at most ${MAX_NOTES_LENGTH} characters`);
+    }
+    return notes || null;
+}
+function readRevisionNumber(value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new StudioError('Revision not found', 404);
+    }
+    return number;
+}
+export function studioFilePath(requestId, number, name) {
+    return `/api/studio/${encodeURIComponent(requestId)}/revisions/${number}/files/${encodeURIComponent(name)}`;
+}
+/**
+ * The studio request a workspace belongs to
+ */
+export async function getStudioRequest(requestId) {
+    const supabase = getSupabaseAdminClient();
+    const { data, error } = await supabase
+        .from('studio_requests')
+        .select('*')
+        .eq('id', requestId)
+        .maybeSingle();
+    if (error) {
+        console.error('Error getting studio request:', error);
+        throw new Error('Failed to get studio request');
+    }
+    if (!data) {
+        throw new StudioError('Studio request not found', 404);
+    }
+    return data;
+}
+async function listRevisions(requestId) {
+    const supabase = getSupabaseAdminClient();
+    const { data, error } = await supabase
+        .from('studio_request_revisions')
+        .select('*')
+        .eq('request_id', requestId)
+        .neq('status', 'preparing')
+        .order('number', { ascending: true });
+    if (error) {
+        console.error('Error listing revisions:', error);
+        throw new Error('Failed to list revisions');
+    }
+    return data || [];
+}
+async function getRevision(requestId, number) {
+    const supabase = getSupabaseAdminClient();
+    const { data, error } = await supabase
+        .from('studio_request_revisions')
+        .select('*')
+        .eq('request_id', requestId)
+        .eq('number', readRevisionNumber(number))
+        .neq('status', 'preparing')
+        .maybeSingle();
+    if (error) {
+        console.error('Error getting revision:', error);
+        throw new Error('Failed to get revision');
+    }
+    if (!data) {
+        throw new StudioError('Revision not found', 404);
+    }
+    return data;
+}
+/**
+ * All revisions of a request, each file with signed stream and download URLs.
+ * `finalRevision` is the approved one; once there is one, the workspace is locked.
+ */
+export async function getWorkspace(requestId) {
+    const revisions = await listRevisions(requestId);
+    const approved = revisions.find((revision) => revision.status === 'approved');
+    const latest = revisions[revisions.length - 1];
+    return {
+        requestId,
+        locked: !!approved,
+        finalRevision: approved ? approved.number : null,
+        revisions: revisions.map((revision) => ({
+            ...revision,
+            label: `v${revision.number}`,
+            final: revision.status === 'approved',
+            // Only the newest revision can be approved or sent back
+            awaitingResponse: revision === latest && revision.status === 'review',
+            files: (revision.files || []).map((file) => {
+                const pathname = studioFilePath(requestId, revision.number, file.name);
+                const stream = signUrl(pathname);
+                return {
+                    ...file,
+                    streamUrl: stream.url,
+                    downloadUrl: signUrl(pathname, { download: true }).url,
+                    expiresAt: stream.expiresAt,
+                };
+            }),
+        })),
+    };
+}
+async function assertUnlocked(requestId) {
+    const supabase = getSupabaseAdminClient();
+    const { count, error } = await supabase
+        .from('studio_request_revisions')
+        .select('*', { count: 'exact', head: true })
+        .eq('request_id', requestId)
+        .eq('status', 'approved');
+    if (error) {
+        console.error('Error checking workspace lock:', error);
+        throw new Error('Failed to update workspace');
+    }
+    if (count > 0) {
+        throw new StudioError('A revision has been approved: this workspace is locked', 409);
+    }
+}
+/**
+ * Post the next revision (engineer). `files` are admin storage paths; they are
+ * copied, so later edits in admin storage do not change what the client got.
+ */
+export async function postRevision(requestId, actor, { files, notes } = {}) {
+    const paths = Array.isArray(files) ? files.filter((file) => typeof file === 'string' && file.trim()) : [];
+    if (paths.length === 0) {
+        throw new StudioError('At least one file is required');
+    }
+    if (paths.length > MAX_REVISION_FILES) {
+        throw new StudioError(`A revision can have at most ${MAX_REVISION_FILES} files`);
+    }
+    const names = paths.map((file) => file.replace(/\/+$/, '').split('/').pop());
+    if (new Set(names).size !== names.length) {
+        throw new StudioError('Files in a revision must have different names');
+    }
+    const revisionNotes = readNotes(notes);
+    await getStudioRequest(requestId);
+    await assertUnlocked(requestId);
+    const supabase = getSupabaseAdminClient();
+    const { data: latest, error: latestError } = await supabase
+        .from('studio_request_revisions')
+        .select('number')
+        .eq('request_id', requestId)
+        .order('number', { ascending: false })
+        .limit(1);
+    if (latestError) {
+        console.error('Error reading revisions:', latestError);
+        throw new Error('Failed to post revision');
+    }
+    const number = (latest?.[0]?.number || 0) + 1;
+    // Unique (request_id, number): two engineers posting at once cannot get the same number
+    const { data: reservation, error: reserveError } = await supabase
+        .from('studio_request_revisions')
+        .insert({
+        request_id: requestId,
+        number,
+        status: 'preparing',
+        notes: revisionNotes,
+        created_by: actor.id,
+        created_by_email: actor.email || null,
+    })
+        .select()
+        .single();
+    if (reserveError) {
+        console.error('Error reserving revision:', reserveError);
+        throw reserveError.code === '23505'
+            ? new StudioError('Another revision was just posted, please try again', 409)
+            : new Error('Failed to post revision');
+    }
+    const storage = FileStorage.getInstance();
+    try {
+        await storage.connect();
+        const copied = [];
+        for (const file of paths) {
+            copied.push(await storage.addStudioRevisionFile(file, requestId, number));
+        }
+        const { data, error } = await supabase
+            .from('studio_request_revisions')
+            .update({ status: 'review', files: copied })
+            .eq('id', reservation.id)
+            .select()
+            .single();
+        if (error) {
+            console.error('Error posting revision:', error);
+            throw new Error('Failed to post revision');
+        }
+        return data;
+    }
+    catch (error) {
+        await storage.deleteStudioRevision(requestId, number).catch(() => { });
+        await supabase.from('studio_request_revisions').delete().eq('id', reservation.id);
+        throw error;
+    }
+}
+/**
+ * Approve the newest revision (it becomes the locked, final deliverable) or
+ * send it back with notes. `decision`: 'approved' | 'changes_requested'.
+ */
+export async function respondToRevision(requestId, number, actor, { decision, notes } = {}) {
+    if (decision !== 'approved' && decision !== 'changes_requested') {
+        throw new StudioError('Decision must be approved or changes_requested');
+    }
+    const clientNotes = readNotes(notes, { required: decision === 'changes_requested' });
+    const revision = await getRevision(requestId, number);
+    const revisions = await listRevisions(requestId);
+    if (revisions.some((other) => other.status === 'approved')) {
+        throw new StudioError('A revision has been approved: this workspace is locked', 409);
+    }
+    if (revisions[revisions.length - 1].id !== revision.id) {
+        throw new StudioError('Only the latest revision can be approved or sent back', 409);
+    }
+    if (revision.status !== 'review') {
+        throw new StudioError('This revision has already been answered', 409);
+    }
+    const supabase = getSupabaseAdminClient();
+    const { data, error } = await supabase
+        .from('studio_request_revisions')
+        .update({
+        status: decision,
+        client_notes: clientNotes,
+        responded_by: actor.id,
+        responded_at: new Date().toISOString(),
+    })
+        .eq('id', revision.id)
+        .eq('status', 'review')
+        .select();
+    if (error) {
+        console.error('Error answering revision:', error);
+        throw new Error('Failed to update revision');
+    }
+    if (!data || data.length === 0) {
+        throw new StudioError('This revision has already been answered', 409);
+    }
+    return data[0];
+}
+/**
+ * Withdraw a revision the client has not answered yet (engineer)
+ */
+export async function deleteRevision(requestId, number) {
+    const revision = await getRevision(requestId, number);
+    if (revision.status !== 'review') {
+        throw new StudioError('Answered revisions cannot be deleted', 409);
+    }
+    const supabase = getSupabaseAdminClient();
+    const { data, error } = await supabase
+        .from('studio_request_revisions')
+        .delete()
+        .eq('id', revision.id)
+        .eq('status', 'review')
+        .select('id');
+    if (error) {
+        console.error('Error deleting revision:', error);
+        throw new Error('Failed to delete revision');
+    }
+    if (!data || data.length === 0) {
+        throw new StudioError('Answered revisions cannot be deleted', 409);
+    }
+    const storage = FileStorage.getInstance();
+    await storage.connect();
+    await storage.deleteStudioRevision(requestId, revision.number)
+        .catch((fileError) => console.error('Error deleting revision files:', fileError));
+}
+/**
+ * A file of a revision, as listed in the revision itself
+ */
+export async function getRevisionFile(requestId, number, name) {
+    const revision = await getRevision(requestId, number);
+    const file = (revision.files || []).find((entry) => entry.name === name);
+    if (!file) {
+        throw new StudioError('File not found', 404);
+    }
+    return { revision, file };
+}
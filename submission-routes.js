@@ -0,0 +1,226 @@
+import express from 'express';
+import { createClient } from '@supabase/supabase-js';
+import { SubmissionError, listSubmissions, getSubmission, claimSubmission, releaseSubmissionClaim, reviewSubmission, decideSubmission, listUserSubmissions, deleteSubmission, } from './submissions.js';
+const router = express.Router();
+// Helper function to get Supabase client for user authentication
+function getSupabaseClient() {
+    if (!process.env.VITE_SUPABASE_URL || !process.env.VITE_SUPABASE_ANON_KEY) {
+        throw new Error('Supabase credentials not configured');
+    }
+    return createClient(process.env.VITE_SUPABASE_URL, process.env.VITE_SUPABASE_ANON_KEY);
+}
+// Helper function to get Supabase admin client
+function getSupabaseAdminClient() {
+    if (!process.env.VITE_SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+        throw new Error('Supabase admin credentials not configured');
+    }
+    return createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false
+        }
+    });
+}
+async function getUser(authHeader) {
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return null;
+    }
+    const token = authHeader.substring(7);
+    const supabase = getSupabaseClient();
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+    if (error || !user) {
+        return null;
+    }
+    return user;
+}
+// Check if user is admin using admin client to bypass RLS
+async function isAdminUser(user) {
+    const supabaseAdmin = getSupabaseAdminClient();
+    const { data: profiles } = await supabaseAdmin
+        .from('profiles')
+        .select('*')
+        .eq('id', user.id);
+    return !!profiles && profiles.length > 0 && profiles[0].role === 'admin';
+}
+// Helper function to verify admin user
+async function verifyAdminUser(authHeader) {
+    const user = await getUser(authHeader);
+    if (!user || !(await isAdminUser(user))) {
+        return null;
+    }
+    return user;
+}
+function sendError(res, error, fallback) {
+    if (error instanceof SubmissionError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: fallback });
+}
+function actorOf(user) {
+    return { id: user.id, email: user.email };
+}
+// ===== ARTIST ROUTES =====
+/**
+ * GET /api/submissions/mine
+ * The current user's submissions, with their status history and decision messages
+ */
+router.get('/mine', async (req, res) => {
+    try {
+        const user = await getUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const submissions = await listUserSubmissions(user.id);
+        res.json({ success: true, submissions });
+    }
+    catch (error) {
+        console.error('Error getting user submissions:', error);
+        sendError(res, error, 'Failed to get submissions');
+    }
+});
+/**
+ * DELETE /api/submissions/:id
+ * Withdraw one of your pending submissions (admins can delete any). The demo
+ * file is deleted with it and its signed links stop working.
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const user = await getUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        await deleteSubmission(req.params.id, actorOf(user), { admin: await isAdminUser(user) });
+        console.log('🗑️ Submission deleted:', req.params.id, 'by', user.email);
+        res.json({ success: true, message: 'Submission deleted' });
+    }
+    catch (error) {
+        console.error('Error deleting submission:', error);
+        sendError(res, error, 'Failed to delete submission');
+    }
+});
+// ===== A&R ROUTES (Admin) =====
+/**
+ * GET /api/submissions
+ * List submissions. Query: status (comma list), genre, reviewer (`me` or a user id),
+ * q (title/artist), sort (created|rating|title|artist), order (asc|desc), limit, offset
+ */
+router.get('/', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { status, genre, reviewer, q, sort, order, limit, offset } = req.query;
+        const result = await listSubmissions({
+            status,
+            genre,
+            reviewerId: reviewer === 'me' ? user.id : reviewer,
+            query: q,
+            sort,
+            order,
+            limit,
+            offset,
+        });
+        res.json({ success: true, ...result });
+    }
+    catch (error) {
+        console.error('Error listing submissions:', error);
+        sendError(res, error, 'Failed to list submissions');
+    }
+});
+/**
+ * GET /api/submissions/:id
+ * One submission with its full history, internal notes included
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const submission = await getSubmission(req.params.id);
+        res.json({ success: true, submission });
+    }
+    catch (error) {
+        console.error('Error getting submission:', error);
+        sendError(res, error, 'Failed to get submission');
+    }
+});
+/**
+ * POST /api/submissions/:id/claim
+ * Take a pending submission for review. `force: true` takes it over from another reviewer.
+ */
+router.post('/:id/claim', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const submission = await claimSubmission(req.params.id, actorOf(user), { force: req.body.force === true });
+        console.log('🎧 Submission claimed:', submission.id, 'by', user.email);
+        res.json({ success: true, submission });
+    }
+    catch (error) {
+        console.error('Error claiming submission:', error);
+        sendError(res, error, 'Failed to claim submission');
+    }
+});
+/**
+ * POST /api/submissions/:id/release
+ * Put a submission you are reviewing back in the pending queue
+ */
+router.post('/:id/release', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const submission = await releaseSubmissionClaim(req.params.id, actorOf(user));
+        res.json({ success: true, submission });
+    }
+    catch (error) {
+        console.error('Error releasing submission:', error);
+        sendError(res, error, 'Failed to release submission');
+    }
+});
+/**
+ * POST /api/submissions/:id/review
+ * Rate (1-5) and/or add an internal note. Body: { rating?, note? }
+ */
+router.post('/:id/review', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { rating, note } = req.body;
+        const submission = await reviewSubmission(req.params.id, actorOf(user), { rating, note });
+        res.json({ success: true, submission });
+    }
+    catch (error) {
+        console.error('Error reviewing submission:', error);
+        sendError(res, error, 'Failed to review submission');
+    }
+});
+/**
+ * POST /api/submissions/:id/decision
+ * Accept or reject. Body: { decision: 'accepted' | 'rejected', message? } —
+ * the message is shown to the artist.
+ */
+router.post('/:id/decision', async (req, res) => {
+    try {
+        const user = await verifyAdminUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { decision, message } = req.body;
+        const submission = await decideSubmission(req.params.id, actorOf(user), { decision, message });
+        console.log(`📋 Submission ${decision}:`, submission.id, 'by', user.email);
+        res.json({ success: true, submission });
+    }
+    catch (error) {
+        console.error('Error deciding submission:', error);
+        sendError(res, error, 'Failed to update submission');
+    }
+});
+export default router;
@@ -0,0 +1,589 @@
+import { createClient } from '@supabase/supabase-js';
+import { UploadError } from './streaming-upload.js';
+import { FileStorage } from './storage.js';
+import { fileNameFromUrl, signUploadUrl } from './signed-urls.js';
+// Demo submissions (label_submissions) and their review history
+// (label_submission_events: submission_id, from_status, to_status, action,
+// actor_id, actor_email, message, created_at).
+// Helper function to get Supabase admin client (uses service key, bypasses RLS)
+function getSupabaseAdminClient() {
+    if (!process.env.VITE_SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+        throw new Error('Supabase admin credentials not configured');
+    }
+    return createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false
+        }
+    });
+}
+// 'uploading' rows are quota reservations for a demo whose file is still arriving
+export const ACTIVE_SUBMISSION_STATUSES = ['uploading', 'pending', 'under_review'];
+export const SUBMISSION_STATUSES = [...ACTIVE_SUBMISSION_STATUSES, 'accepted', 'rejected'];
+// Review workflow: pending -> under_review (claim) -> accepted | rejected,
+// and back to pending when a reviewer releases a claim
+const TRANSITIONS = {
+    pending: ['under_review'],
+    under_review: ['pending', 'accepted', 'rejected'],
+};
+// What artists may see of their own submissions and of their history
+const ARTIST_COLUMNS = 'id, track_title, artist_name, genre, links, message, file_url, file_name, status, decision_message, decided_at, created_at';
+const ARTIST_EVENT_ACTIONS = ['submitted', 'claim', 'release', 'decision'];
+const SORT_COLUMNS = { created: 'created_at', rating: 'rating', title: 'track_title', artist: 'artist_name' };
+const MAX_PAGE_SIZE = 100;
+export class SubmissionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = status;
+    }
+}
+// Demos are private: responses carry a short-lived link instead of the stored location
+function withSignedFileUrl(submission) {
+    const filename = fileNameFromUrl(submission.file_url);
+    return {
+        ...submission,
+        signed_file_url: filename ? signUploadUrl('label-submissions', filename).url : null,
+    };
+}
+// Reservations left behind by a crash or a dropped connection are released after this
+const RESERVATION_TTL_MS = 6 * 60 * 60 * 1000;
+const MAX_LINKS = 10;
+const FIELD_LIMITS = {
+    trackTitle: 200,
+    artistName: 200,
+    genre: 100,
+    message: 5000,
+};
+function readText(value, name, { required = false } = {}) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (required && !text) {
+        throw new UploadError(`${name} is required`);
+    }
+    if (text.length > FIELD_LIMITS[name]) {
+        throw new UploadError(`${name} must be at most ${FIELD_LIMITS[name]} characters`);
+    }
+    return text || null;
+}
+// Links come as a JSON array, repeated form fields, or one per line / comma separated
+function readLinks(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    let links = value;
+    if (typeof links === 'string') {
+        try {
+            links = links.trim().startsWith('[') ? JSON.parse(links) : links.split(/[\n,]/);
+        }
+        catch {
+            throw new UploadError('links must be a JSON array or a list of URLs');
+        }
+    }
+    if (!Array.isArray(links)) {
+        links = [links];
+    }
+    links = links.map((link) => String(link).trim()).filter(Boolean);
+    if (links.length > MAX_LINKS) {
+        throw new UploadError(`At most ${MAX_LINKS} links are allowed`);
+    }
+    for (const link of links) {
+        let url;
+        try {
+            url = new URL(link);
+        }
+        catch {
+            throw new UploadError(`Invalid link: ${link}`);
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new UploadError(`Invalid link: ${link}`);
+        }
+    }
+    return links;
+}
+/**
+ * Validate the metadata sent with a demo (multipart fields)
+ */
+export function parseSubmissionFields(body) {
+    return {
+        trackTitle: readText(body.trackTitle, 'trackTitle', { required: true }),
+        artistName: readText(body.artistName, 'artistName', { required: true }),
+        genre: readText(body.genre, 'genre'),
+        links: readLinks(body.links),
+        message: readText(body.message, 'message'),
+    };
+}
+/**
+ * Reserve one of the user's active submission slots with the demo's metadata.
+ * The row is inserted first and then ranked among the user's active rows, so
+ * two parallel requests cannot both take the last slot: the later one loses
+ * and its row is removed. Returns the reserved row, or null if over quota.
+ */
+export async function reserveSubmission(userId, fields, maxActive) {
+    const supabase = getSupabaseAdminClient();
+    const { data: reservation, error } = await supabase
+        .from('label_submissions')
+        .insert({
+        user_id: userId,
+        track_title: fields.trackTitle,
+        artist_name: fields.artistName,
+        genre: fields.genre,
+        links: fields.links,
+        message: fields.message,
+        status: 'uploading',
+    })
+        .select()
+        .single();
+    if (error) {
+        console.error('Error reserving submission:', error);
+        throw new Error('Failed to create submission');
+    }
+    const { data: active, error: listError } = await supabase
+        .from('label_submissions')
+        .select('id')
+        .eq('user_id', userId)
+        .in('status', ACTIVE_SUBMISSION_STATUSES)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true });
+    if (listError) {
+        console.error('Error checking submission quota:', listError);
+        await releaseSubmission(reservation.id);
+        throw new Error('Failed to create submission');
+    }
+    const position = (active || []).findIndex((row) => row.id === reservation.id);
+    if (position === -1 || position >= maxActive) {
+        await releaseSubmission(reservation.id);
+        return null;
+    }
+    return reservation;
+}
+/**
+ * Turn a reservation into a pending submission once its file is stored
+ */
+export async function completeSubmission(id, file) {
+    const supabase = getSupabaseAdminClient();
+    const { data, error } = await supabase
+        .from('label_submissions')
+        .update({
+        file_url: file.url,
+        file_name: file.originalname,
+        file_size: file.size,
+        status: 'pending',
+    })
+        .eq('id', id)
+        .eq('status', 'uploading')
+        .select()
+        .single();
+    if (error) {
+        console.error('Error completing submission:', error);
+        throw new Error('Failed to create submission');
+    }
+    // The demo is in either way: a missing history entry is only logged
+    await recordSubmissionEvent({
+        submissionId: id,
+        fromStatus: 'uploading',
+        toStatus: 'pending',
+        action: 'submitted',
+        actor: { id: data.user_id },
+    }).catch(() => { });
+    return data;
+}
+/**
+ * Delete a reservation (the upload failed or was over quota)
+ */
+export async function releaseSubmission(id) {
+    const supabase = getSupabaseAdminClient();
+    const { error } = await supabase
+        .from('label_submissions')
+        .delete()
+        .eq('id', id)
+        .eq('status', 'uploading');
+    if (error) {
+        console.error('Error releasing submission reservation:', error);
+        throw new Error('Failed to release submission reservation');
+    }
+}
+/**
+ * Release reservations older than the TTL (can be called periodically)
+ */
+export async function cleanupStaleReservations() {
+    const supabase = getSupabaseAdminClient();
+    const { data, error } = await supabase
+        .from('label_submissions')
+        .delete()
+        .eq('status', 'uploading')
+        .lt('created_at', new Date(Date.now() - RESERVATION_TTL_MS).toISOString())
+        .select('id');
+    if (error) {
+        console.error('Error cleaning up submission reservations:', error);
+        return 0;
+    }
+    return data?.length || 0;
+}
+/**
+ * Append an entry to a submission's history
+ */
+async function recordSubmissionEvent({ submissionId, fromStatus, toStatus, action, actor, message }) {
+    const supabase = getSupabaseAdminClient();
+    const { error } = await supabase
+        .from('label_submission_events')
+        .insert({
+        submission_id: submissionId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        action,
+        actor_id: actor.id || null,
+        actor_email: actor.email || null,
+        message: message || null,
+    });
+    if (error) {
+        console.error('Error recording submission event:', error);
+        throw new Error('Failed to record submission history');
+    }
+}
+/**
+ * List submissions for review.
+ * Filters: status (one or a comma list), genre, reviewerId, query (title or artist).
+ * Sort: created | rating | title | artist, with limit/offset pagination.
+ */
+export async function listSubmissions(options = {}) {
+    const supabase = getSupabaseAdminClient();
+    const statuses = options.status ? String(options.status).split(',').map((status) => status.trim()).filter(Boolean) : [];
+    if (statuses.some((status) => !SUBMISSION_STATUSES.includes(status))) {
+        throw new SubmissionError(`Status must be one of: ${SUBMISSION_STATUSES.join(', ')}`);
+    }
+    const sort = options.sort || 'created';
+    if (!SORT_COLUMNS[sort]) {
+        throw new SubmissionError(`Sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}`);
+    }
+    const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(options.offset) || 0, 0);
+    let request = supabase
+        .from('label_submissions')
+        .select('*', { count: 'exact' });
+    // Reservations are not submissions yet
+    request = statuses.length > 0 ? request.in('status', statuses) : request.neq('status', 'uploading');
+    if (options.genre) {
+        request = request.eq('genre', options.genre);
+    }
+    if (options.reviewerId) {
+        request = request.eq('reviewer_id', options.reviewerId);
+    }
+    if (options.query) {
+        // Characters with a meaning in PostgREST filters are dropped
+        const query = String(options.query).replace(/[%_,()"\\*]/g, ' ').trim();
+        if (query) {
+            request = request.or(`track_title.ilike.%${query}%,artist_name.ilike.%${query}%`);
+        }
+    }
+    const { data, count, error } = await request
+        .order(SORT_COLUMNS[sort], { ascending: options.order === 'asc', nullsFirst: false })
+        .order('id', { ascending: true })
+        .range(offset, offset + limit - 1);
+    if (error) {
+        console.error('Error listing submissions:', error);
+        throw new Error('Failed to list submissions');
+    }
+    return { submissions: (data || []).map(withSignedFileUrl), total: count || 0, limit, offset };
+}
+/**
+ * One submission with its full history (admins)
+ */
+export async function getSubmission(id) {
+    const supabase = getSupabaseAdminClient();
+    const { data, error } = await supabase
+        .from('label_submissions')
+        .select('*')
+        .eq('id', id)
+        .neq('status', 'uploading')
+        .maybeSingle();
+    if (error) {
+        console.error('Error getting submission:', error);
+        throw new Error('Failed to get submission');
+    }
+    if (!data) {
+        throw new SubmissionError('Submission not found', 404);
+    }
+    const { data: events, error: eventsError } = await supabase
+        .from('label_submission_events')
+        .select('*')
+        .eq('submission_id', id)
+        .order('created_at', { ascending: true });
+    if (eventsError) {
+        console.error('Error getting submission history:', eventsError);
+        throw new Error('Failed to get submission');
+    }
+    return { ...withSignedFileUrl(data), events: events || [] };
+}
+/**
+ * Move a submission to another status. The update only applies if the row is
+ * still in the expected status (and claimed by `reviewerId` when given), so
+ * two admins acting at once cannot both succeed. If the history entry cannot
+ * be written, the change is undone.
+ */
+async function transitionSubmission(id, { from, to, action, actor, message, reviewerId, updates = {} }) {
+    if (!TRANSITIONS[from]?.includes(to)) {
+        throw new SubmissionError(`Cannot move a submission from ${from} to ${to}`, 409);
+    }
+    const supabase = getSupabaseAdminClient();
+    const { data: current, error: readError } = await supabase
+        .from('label_submissions')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+    if (readError) {
+        console.error('Error reading submission:', readError);
+        throw new Error('Failed to update submission');
+    }
+    if (!current || current.status === 'uploading') {
+        throw new SubmissionError('Submission not found', 404);
+    }
+    if (current.status !== from) {
+        throw new SubmissionError(`Submission is ${current.status}, expected ${from}`, 409);
+    }
+    if (reviewerId && current.reviewer_id !== reviewerId) {
+        throw new SubmissionError('Submission is being reviewed by someone else', 409);
+    }
+    let request = supabase
+        .from('label_submissions')
+        .update({ ...updates, status: to })
+        .eq('id', id)
+        .eq('status', from);
+    request = current.reviewer_id ? request.eq('reviewer_id', current.reviewer_id) : request.is('reviewer_id', null);
+    const { data, error } = await request.select().maybeSingle();
+    if (error) {
+        console.error('Error updating submission status:', error);
+        throw new Error('Failed to update submission');
+    }
+    if (!data) {
+        throw new SubmissionError('Submission was changed by someone else, reload and try again', 409);
+    }
+    try {
+        await recordSubmissionEvent({ submissionId: id, fromStatus: from, toStatus: to, action, actor, message });
+    }
+    catch (recordError) {
+        const restore = Object.fromEntries(Object.keys(updates).map((key) => [key, current[key] ?? null]));
+        await supabase
+            .from('label_submissions')
+            .update({ ...restore, status: from })
+            .eq('id', id)
+            .eq('status', to);
+        throw recordError;
+    }
+    return data;
+}
+/**
+ * Claim a pending submission for review. `force` takes over a submission
+ * already claimed by another reviewer.
+ */
+export async function claimSubmission(id, actor, { force = false } = {}) {
+    if (force) {
+        const current = await getSubmission(id);
+        if (current.status === 'under_review' && current.reviewer_id !== actor.id) {
+            await releaseSubmissionClaim(id, { id: current.reviewer_id }, { by: actor });
+        }
+    }
+    return await transitionSubmission(id, {
+        from: 'pending',
+        to: 'under_review',
+        action: 'claim',
+        actor,
+        updates: {
+            reviewer_id: actor.id,
+            reviewer_email: actor.email || null,
+            claimed_at: new Date().toISOString(),
+        },
+    });
+}
+/**
+ * Put a submission back in the pending queue. Only its reviewer can do this,
+ * unless `by` (another admin taking over) is given.
+ */
+export async function releaseSubmissionClaim(id, reviewer, { by } = {}) {
+    return await transitionSubmission(id, {
+        from: 'under_review',
+        to: 'pending',
+        action: 'release',
+        actor: by || reviewer,
+        reviewerId: reviewer.id,
+        updates: {
+            reviewer_id: null,
+            reviewer_email: null,
+            claimed_at: null,
+        },
+    });
+}
+/**
+ * Rate a submission (1-5) and/or add an internal note. Only while it is
+ * under review, by its reviewer. Notes are kept in the history, never shown to the artist.
+ */
+export async function reviewSubmission(id, actor, { rating, note } = {}) {
+    const hasRating = rating !== undefined && rating !== null && rating !== '';
+    const text = typeof note === 'string' ? note.trim() : '';
+    if (!hasRating && !text) {
+        throw new SubmissionError('A rating or a note is required');
+    }
+    if (hasRating && !(Number.isInteger(Number(rating)) && Number(rating) >= 1 && Number(rating) <= 5)) {
+        throw new SubmissionError('Rating must be an integer from 1 to 5');
+    }
+    if (text.length > FIELD_LIMITS.message) {
+        throw new SubmissionError(`Note must be at most ${FIELD_LIMITS.message} characters`);
+    }
+    const current = await getSubmission(id);
+    if (current.status !== 'under_review') {
+        throw new SubmissionError('Only submissions under review can be rated or annotated', 409);
+    }
+    if (current.reviewer_id !== actor.id) {
+        throw new SubmissionError('Submission is being reviewed by someone else', 409);
+    }
+    const supabase = getSupabaseAdminClient();
+    let submission = current;
+    if (hasRating) {
+        const { data, error } = await supabase
+            .from('label_submissions')
+            .update({ rating: Number(rating) })
+            .eq('id', id)
+            .eq('status', 'under_review')
+            .eq('reviewer_id', actor.id)
+            .select()
+            .maybeSingle();
+        if (error) {
+            console.error('Error rating submission:', error);
+            throw new Error('Failed to update submission');
+        }
+        if (!data) {
+            throw new SubmissionError('Submission was changed by someone else, reload and try again', 409);
+        }
+        submission = data;
+    }
+    await recordSubmissionEvent({
+        submissionId: id,
+        fromStatus: 'under_review',
+        toStatus: 'under_review',
+        action: text ? 'note' : 'rating',
+        actor,
+        message: [hasRating ? `Rating: ${Number(rating)}/5` : null, text || null].filter(Boolean).join('\n'),
+    });
+    return submission;
+}
+/**
+ * Accept or reject a submission under review, with a message for the artist
+ */
+export async function decideSubmission(id, actor, { decision, message } = {}) {
+    if (decision !== 'accepted' && decision !== 'rejected') {
+        throw new SubmissionError('Decision must be accepted or rejected');
+    }
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (text.length > FIELD_LIMITS.message) {
+        throw new SubmissionError(`Message must be at most ${FIELD_LIMITS.message} characters`);
+    }
+    return await transitionSubmission(id, {
+        from: 'under_review',
+        to: decision,
+        action: 'decision',
+        actor,
+        reviewerId: actor.id,
+        message: text,
+        updates: {
+            decision_message: text || null,
+            decided_by: actor.id,
+            decided_at: new Date().toISOString(),
+        },
+    });
+}
+/**
+ * An artist's own submissions with their public history: status changes and
+ * decision messages, without ratings, notes or reviewer identities
+ */
+export async function listUserSubmissions(userId) {
+    const supabase = getSupabaseAdminClient();
+    const { data, error } = await supabase
+        .from('label_submissions')
+        .select(ARTIST_COLUMNS)
+        .eq('user_id', userId)
+        .neq('status', 'uploading')
+        .order('created_at', { ascending: false });
+    if (error) {
+        console.error('Error getting user submissions:', error);
+        throw new Error('Failed to get submissions');
+    }
+    if (!data || data.length === 0) {
+        return [];
+    }
+    const { data: events, error: eventsError } = await supabase
+        .from('label_submission_events')
+        .select('submission_id, to_status, action, message, created_at')
+        .in('submission_id', data.map((submission) => submission.id))
+        .in('action', ARTIST_EVENT_ACTIONS)
+        .order('created_at', { ascending: true });
+    if (eventsError) {
+        console.error('Error getting submission history:', eventsError);
+        throw new Error('Failed to get submissions');
+    }
+    return data.map((submission) => {
+        // The stored location is only useful to the server
+        const { file_url: _fileUrl, ...visible } = withSignedFileUrl(submission);
+        return {
+            ...visible,
+            history: (events || [])
+                .filter((event) => event.submission_id === submission.id)
+                .map((event) => ({
+                status: event.to_status,
+                message: event.action === 'decision' ? event.message : null,
+                at: event.created_at,
+            })),
+        };
+    });
+}
+/**
+ * Delete a submission and its demo. Artists can withdraw their own while it is
+ * still pending; admins can delete any. Signed links to the file stop working
+ * as soon as the row is gone.
+ */
+export async function deleteSubmission(id, actor, { admin = false } = {}) {
+    const supabase = getSupabaseAdminClient();
+    const { data: submission, error } = await supabase
+        .from('label_submissions')
+        .select('id, user_id, status, file_url')
+        .eq('id', id)
+        .neq('status', 'uploading')
+        .maybeSingle();
+    if (error) {
+        console.error('Error reading submission:', error);
+        throw new Error('Failed to delete submission');
+    }
+    if (!submission || (!admin && submission.user_id !== actor.id)) {
+        throw new SubmissionError('Submission not found', 404);
+    }
+    if (!admin && submission.status !== 'pending') {
+        throw new SubmissionError('Only pending submissions can be withdrawn', 409);
+    }
+    // Only if nobody changed it meanwhile (e.g. claimed it for review)
+    const { data: deleted, error: deleteError } = await supabase
+        .from('label_submissions')
+        .delete()
+        .eq('id', id)
+        .eq('status', submission.status)
+        .select('id');
+    if (deleteError) {
+        console.error('Error deleting submission:', deleteError);
+        throw new Error('Failed to delete submission');
+    }
+    if (!deleted || deleted.length === 0) {
+        throw new SubmissionError('Submission was just updated, please reload it', 409);
+    }
+    const { error: eventsError } = await supabase
+        .from('label_submission_events')
+        .delete()
+        .eq('submission_id', id);
+    if (eventsError) {
+        console.error('Error deleting submission history:', eventsError);
+    }
+    // The upload reconciliation collects the file if this fails
+    const filename = fileNameFromUrl(submission.file_url);
+    if (filename) {
+        const storage = FileStorage.getInstance();
+        await storage.connect()
+            .then(() => storage.deleteUploadedFile(filename, 'label-submissions'))
+            .catch((fileError) => console.error('Error deleting submission file:', fileError));
+    }
+}
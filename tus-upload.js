@@ -0,0 +1,368 @@
+import express from 'express';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { FileStorage } from './storage.js';
+import { UploadError } from './streaming-upload.js';
+import { PathError } from './path-jail.js';
+import { SNIFF_BYTES } from './content-type.js';
+import { AudioSpecError } from './audio-analysis.js';
+
+// tus 1.0.0 core protocol + creation, termination and expiration extensions
+// https://tus.io/protocols/resumable-upload
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,expiration';
+
+// Read when used: .env.local is only loaded once every module has been imported
+function uploadExpirationMs() {
+    return parseInt(process.env.UPLOAD_EXPIRATION_HOURS || '24') * 60 * 60 * 1000;
+}
+
+// Headers browsers must be allowed to read for tus clients to work
+export const TUS_EXPOSED_HEADERS = [
+    'Location',
+    'Upload-Offset',
+    'Upload-Length',
+    'Upload-Metadata',
+    'Upload-Expires',
+    'Tus-Version',
+    'Tus-Resumable',
+    'Tus-Extension',
+    'Tus-Max-Size',
+    'X-Upload-Url',
+    'X-Upload-Filename',
+];
+
+/**
+ * Parse an Upload-Metadata header ("key base64value,key2 base64value2")
+ */
+export function parseUploadMetadata(header) {
+    const metadata = {};
+    if (!header) {
+        return metadata;
+    }
+    for (const pair of header.split(',')) {
+        const [key, value] = pair.trim().split(' ');
+        if (!key) {
+            continue;
+        }
+        metadata[key] = value ? Buffer.from(value, 'base64').toString('utf-8') : '';
+    }
+    return metadata;
+}
+
+// Refuses to write past the declared Upload-Length
+class LengthGuard extends Transform {
+    constructor(remaining) {
+        super();
+        this.remaining = remaining;
+        this.bytes = 0;
+    }
+
+    _transform(chunk, _encoding, callback) {
+        this.bytes += chunk.length;
+        if (this.bytes > this.remaining) {
+            return callback(new UploadError('Chunk exceeds Upload-Length', 413));
+        }
+        callback(null, chunk);
+    }
+}
+
+/**
+ * Create a tus-compatible router. Uploads are bound to the user who created
+ * them and to `scope`, so one mount cannot resume another mount's uploads.
+ *
+ * - `authenticate(req)` returns the user or null.
+ * - `prepare(req, user, metadata, length)` runs on creation (auth, quota, size)
+ *   and returns the final `{ filename, type }`.
+ * - `verify(upload, head, user)` runs once every byte has been received, with
+ *   the first bytes of the file, before it is moved to its destination. Whatever
+ *   it returns is added to the upload's result.
+ */
+export function createTusRouter({ scope, authenticate, prepare, verify, maxSize }) {
+    const router = express.Router();
+    const storage = FileStorage.getInstance();
+    // Upload ids with a PATCH in flight, so two chunks never race on one file
+    const locks = new Set();
+
+    function setTusHeaders(res) {
+        res.setHeader('Tus-Resumable', TUS_VERSION);
+        res.setHeader('Cache-Control', 'no-store');
+    }
+
+    async function loadUpload(id) {
+        try {
+            return await storage.readStagingInfo(id);
+        }
+        catch {
+            return null;
+        }
+    }
+
+    async function saveUpload(upload) {
+        await storage.writeStagingInfo(upload.id, upload);
+    }
+
+    async function discardUpload(id) {
+        await storage.deleteStagingUpload(id).catch(() => { });
+    }
+
+    // Resolve the caller and the upload they own, or answer with an error
+    async function resolveUpload(req, res) {
+        const user = await authenticate(req);
+        if (!user) {
+            res.status(401).json({ error: 'Unauthorized' });
+            return null;
+        }
+        const upload = /^[a-f0-9]{32}$/.test(req.params.id) ? await loadUpload(req.params.id) : null;
+        if (!upload || upload.scope !== scope || upload.userId !== user.id) {
+            res.status(404).json({ error: 'Upload not found' });
+            return null;
+        }
+        if (!upload.result && Date.parse(upload.expiresAt) < Date.now()) {
+            await discardUpload(upload.id);
+            res.status(410).json({ error: 'Upload expired' });
+            return null;
+        }
+        return { user, upload };
+    }
+
+    function sendError(res, error, fallback) {
+        console.error('❌ Resumable upload error:', error);
+        if (error instanceof AudioSpecError) {
+            return res.status(error.status).json({ error: error.message, violations: error.violations });
+        }
+        if (error instanceof UploadError || error instanceof PathError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({
+            error: error instanceof Error ? error.message : fallback,
+        });
+    }
+
+    router.use((req, res, next) => {
+        setTusHeaders(res);
+        if (req.method !== 'OPTIONS' && req.method !== 'GET' && req.headers['tus-resumable'] !== TUS_VERSION) {
+            res.setHeader('Tus-Version', TUS_VERSION);
+            return res.status(412).json({ error: `Unsupported tus version, expected ${TUS_VERSION}` });
+        }
+        next();
+    });
+
+    router.options('/', (req, res) => {
+        res.setHeader('Tus-Version', TUS_VERSION);
+        res.setHeader('Tus-Extension', TUS_EXTENSIONS);
+        if (maxSize) {
+            res.setHeader('Tus-Max-Size', maxSize);
+        }
+        res.status(204).end();
+    });
+
+    // Create an upload
+    router.post('/', async (req, res) => {
+        try {
+            const user = await authenticate(req);
+            if (!user) {
+                return res.status(401).json({ error: 'Unauthorized' });
+            }
+            const length = parseInt(req.headers['upload-length'], 10);
+            if (!Number.isSafeInteger(length) || length < 0) {
+                return res.status(400).json({ error: 'Upload-Length header is required' });
+            }
+            if (maxSize && length > maxSize) {
+                return res.status(413).json({ error: 'File too large' });
+            }
+            const metadata = parseUploadMetadata(req.headers['upload-metadata']);
+            const target = await prepare(req, user, metadata, length);
+
+            const id = crypto.randomBytes(16).toString('hex');
+            const upload = {
+                id,
+                scope,
+                userId: user.id,
+                length,
+                metadata,
+                target,
+                createdAt: new Date().toISOString(),
+                expiresAt: new Date(Date.now() + uploadExpirationMs()).toISOString(),
+                result: null,
+            };
+
+            await storage.connect();
+            await saveUpload(upload);
+            console.log('📦 Resumable upload created:', id, target.filename, `(${(length / 1024 / 1024).toFixed(2)} MB)`);
+
+            res.setHeader('Location', `${req.baseUrl}/${id}`);
+            res.setHeader('Upload-Expires', new Date(upload.expiresAt).toUTCString());
+            res.status(201).end();
+        }
+        catch (error) {
+            sendError(res, error, 'Failed to create upload');
+        }
+    });
+
+    // Current offset
+    router.head('/:id', async (req, res) => {
+        try {
+            await storage.connect();
+            const resolved = await resolveUpload(req, res);
+            if (!resolved) {
+                return;
+            }
+            const { upload } = resolved;
+            const offset = upload.result ? upload.length : await storage.getStagingOffset(upload.id);
+            res.setHeader('Upload-Offset', offset);
+            res.setHeader('Upload-Length', upload.length);
+            res.setHeader('Upload-Expires', new Date(upload.expiresAt).toUTCString());
+            res.status(200).end();
+        }
+        catch (error) {
+            console.error('❌ Resumable upload HEAD error:', error);
+            res.status(500).end();
+        }
+    });
+
+    // Status and final location (not part of tus, used by our frontend once done)
+    router.get('/:id', async (req, res) => {
+        try {
+            await storage.connect();
+            const resolved = await resolveUpload(req, res);
+            if (!resolved) {
+                return;
+            }
+            const { upload } = resolved;
+            const offset = upload.result ? upload.length : await storage.getStagingOffset(upload.id);
+            res.json({
+                success: true,
+                upload: {
+                    id: upload.id,
+                    length: upload.length,
+                    offset,
+                    complete: !!upload.result,
+                    expiresAt: upload.expiresAt,
+                    ...(upload.result || {}),
+                },
+            });
+        }
+        catch (error) {
+            sendError(res, error, 'Failed to get upload');
+        }
+    });
+
+    // Append a chunk
+    router.patch('/:id', async (req, res) => {
+        const { id } = req.params;
+        if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+            return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+        }
+        if (locks.has(id)) {
+            return res.status(423).json({ error: 'Another chunk is being written for this upload' });
+        }
+        locks.add(id);
+        try {
+            await storage.connect();
+            const resolved = await resolveUpload(req, res);
+            if (!resolved) {
+                return;
+            }
+            const { user, upload } = resolved;
+            if (upload.result) {
+                return res.status(409).json({ error: 'Upload already complete' });
+            }
+
+            const offset = await storage.getStagingOffset(id);
+            if (parseInt(req.headers['upload-offset'], 10) !== offset) {
+                res.setHeader('Upload-Offset', offset);
+                return res.status(409).json({ error: 'Upload-Offset does not match current offset' });
+            }
+
+            try {
+                await storage.writeStagingChunk(id, req.pipe(new LengthGuard(upload.length - offset)), offset);
+            }
+            catch (error) {
+                // Keep what reached the server: the client resumes from HEAD
+                if (error instanceof UploadError) {
+                    throw error;
+                }
+                console.warn('⚠️ Chunk interrupted for upload', id, error instanceof Error ? error.message : error);
+                if (!res.headersSent && !req.destroyed) {
+                    res.status(500).json({ error: 'Chunk interrupted, resume from the current offset' });
+                }
+                return;
+            }
+
+            const newOffset = await storage.getStagingOffset(id);
+            res.setHeader('Upload-Offset', newOffset);
+            if (newOffset < upload.length) {
+                return res.status(204).end();
+            }
+
+            // Every byte is there: run the same checks as a regular upload
+            const head = await storage.readStagingHead(id, Math.min(SNIFF_BYTES, upload.length) || 1);
+            let details;
+            try {
+                details = await verify(upload, head, user);
+            }
+            catch (error) {
+                await discardUpload(id);
+                throw error;
+            }
+
+            const url = await storage.commitStagingUpload(id, upload.target.filename, upload.target.type, { uploadedBy: upload.target.uploadedBy });
+            upload.result = { url, filename: upload.target.filename, ...(details || {}) };
+            await saveUpload(upload);
+            console.log('✅ Resumable upload complete:', upload.target.filename);
+
+            res.setHeader('X-Upload-Url', encodeURI(url));
+            res.setHeader('X-Upload-Filename', encodeURIComponent(upload.target.filename));
+            res.status(204).end();
+        }
+        catch (error) {
+            sendError(res, error, 'Failed to write chunk');
+        }
+        finally {
+            locks.delete(id);
+        }
+    });
+
+    // Termination
+    router.delete('/:id', async (req, res) => {
+        try {
+            await storage.connect();
+            const resolved = await resolveUpload(req, res);
+            if (!resolved) {
+                return;
+            }
+            await discardUpload(resolved.upload.id);
+            res.status(204).end();
+        }
+        catch (error) {
+            sendError(res, error, 'Failed to terminate upload');
+        }
+    });
+
+    return router;
+}
+
+/**
+ * Remove expired, unfinished uploads from the staging directory
+ */
+export async function cleanupExpiredUploads() {
+    const storage = FileStorage.getInstance();
+    await storage.connect();
+    const ids = await storage.listStagingUploads();
+    let removed = 0;
+    for (const id of ids) {
+        try {
+            const upload = await storage.readStagingInfo(id);
+            if (Date.parse(upload.expiresAt) >= Date.now()) {
+                continue;
+            }
+        }
+        catch {
+            // Unreadable metadata: treat as expired
+        }
+        await storage.deleteStagingUpload(id).catch(() => { });
+        removed++;
+    }
+    return removed;
+}
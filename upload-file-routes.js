@@ -0,0 +1,129 @@
+import express from 'express';
+import { createClient } from '@supabase/supabase-js';
+import { FileStorage } from './storage.js';
+import { PathError, storageErrorStatus } from './path-jail.js';
+import { sendRangedFile } from './http-range.js';
+import { mimeFromExtension } from './content-type.js';
+import { signUploadUrl, verifyUploadSignature } from './signed-urls.js';
+import { UPLOAD_REFERENCES, findUploadReference } from './upload-gc.js';
+const router = express.Router();
+// Helper function to get Supabase client for user authentication
+function getSupabaseClient() {
+    if (!process.env.VITE_SUPABASE_URL || !process.env.VITE_SUPABASE_ANON_KEY) {
+        throw new Error('Supabase credentials not configured');
+    }
+    return createClient(process.env.VITE_SUPABASE_URL, process.env.VITE_SUPABASE_ANON_KEY);
+}
+// Helper function to get Supabase admin client
+function getSupabaseAdminClient() {
+    if (!process.env.VITE_SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+        throw new Error('Supabase admin credentials not configured');
+    }
+    return createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false
+        }
+    });
+}
+async function getUser(authHeader) {
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return null;
+    }
+    const token = authHeader.substring(7);
+    const supabase = getSupabaseClient();
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+    if (error || !user) {
+        return null;
+    }
+    return user;
+}
+// Check if user is admin using admin client to bypass RLS
+async function isAdminUser(user) {
+    const supabaseAdmin = getSupabaseAdminClient();
+    const { data: profiles } = await supabaseAdmin
+        .from('profiles')
+        .select('*')
+        .eq('id', user.id);
+    return !!profiles && profiles.length > 0 && profiles[0].role === 'admin';
+}
+// Driver errors carry server paths: only our own messages go out
+function sendStorageError(res, error, fallback) {
+    const status = storageErrorStatus(error);
+    res.status(status).json({
+        error: error instanceof PathError ? error.message : status === 404 ? 'File not found' : fallback,
+    });
+}
+/**
+ * GET /api/files/:type/:filename/signed-url
+ * Signed URL for a demo / studio file, for its owner or an admin.
+ * Query: expiresIn (seconds, default 3600), download=1 for an attachment
+ */
+router.get('/:type/:filename/signed-url', async (req, res) => {
+    try {
+        const user = await getUser(req.headers.authorization);
+        if (!user) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const { type, filename } = req.params;
+        if (!UPLOAD_REFERENCES[type]) {
+            return res.status(400).json({ error: 'Invalid upload type' });
+        }
+        const row = await findUploadReference(type, filename);
+        // Same answer for someone else's file and a missing one
+        if (!row || (row[UPLOAD_REFERENCES[type].owner] !== user.id && !(await isAdminUser(user)))) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        const { url, expiresAt } = signUploadUrl(type, filename, {
+            expiresIn: req.query.expiresIn,
+            download: req.query.download === '1' || req.query.download === 'true',
+        });
+        res.json({ success: true, url, expiresAt });
+    }
+    catch (error) {
+        console.error('Error signing file URL:', error);
+        res.status(500).json({ error: 'Failed to create file URL' });
+    }
+});
+/**
+ * GET /api/files/:type/:filename?expires=&signature=
+ * Serve a file through a signed URL (Range requests supported for players).
+ * Links stop working once the submission / request pointing at the file is deleted.
+ */
+router.get('/:type/:filename', async (req, res) => {
+    try {
+        const { type, filename } = req.params;
+        if (!UPLOAD_REFERENCES[type]) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        const validation = verifyUploadSignature(type, filename, req.query);
+        if (!validation.valid) {
+            return res.status(403).json({ error: validation.reason });
+        }
+        const row = await findUploadReference(type, filename);
+        if (!row) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        const storage = FileStorage.getInstance();
+        await storage.connect();
+        const stat = await storage.statUploadFile(filename, type);
+        const name = row.file_name || filename;
+        const disposition = req.query.download === '1' ? 'attachment' : 'inline';
+        sendRangedFile(req, res, {
+            stat,
+            contentType: mimeFromExtension(filename) || 'application/octet-stream',
+            disposition: `${disposition}; filename="${encodeURIComponent(name)}"`,
+            // Never cached past the link's own expiry
+            cacheControl: `private, max-age=${Math.max(Math.floor((validation.expiresAt - Date.now()) / 1000), 0)}`,
+            openStream: (range) => storage.createUploadReadStream(filename, type, range),
+        });
+    }
+    catch (error) {
+        console.error('Error serving uploaded file:', error);
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        sendStorageError(res, error, 'Failed to get file');
+    }
+});
+export default router;
@@ -0,0 +1,176 @@
+import { createClient } from '@supabase/supabase-js';
+import { FileStorage } from './storage.js';
+import { fileNameFromUrl, uploadFileUrl } from './signed-urls.js';
+// Helper function to get Supabase admin client (uses service key, bypasses RLS)
+function getSupabaseAdminClient() {
+    if (!process.env.VITE_SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+        throw new Error('Supabase admin credentials not configured');
+    }
+    return createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false
+        }
+    });
+}
+// Which table/column points at the files of each upload folder, and who owns the row
+export const UPLOAD_REFERENCES = {
+    'label-submissions': { table: 'label_submissions', column: 'file_url', owner: 'user_id' },
+    'studio-requests': { table: 'studio_requests', column: 'file_url', owner: 'user_id' },
+};
+// Sidecar files that live and die with the upload they belong to
+const SIDECAR_SUFFIXES = ['.peaks.dat'];
+const PAGE_SIZE = 1000;
+let lastReport = null;
+let running = null;
+// Every row of `table` with a file, read page by page
+async function readReferences(supabase, { table, column }) {
+    const references = [];
+    for (let offset = 0;; offset += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from(table)
+            .select(`id, ${column}`)
+            .not(column, 'is', null)
+            .order('id', { ascending: true })
+            .range(offset, offset + PAGE_SIZE - 1);
+        if (error) {
+            // Never decide what is an orphan from a partial list
+            console.error(`Error reading ${table}:`, error);
+            throw new Error(`Failed to read ${table}`);
+        }
+        for (const row of data || []) {
+            const file = fileNameFromUrl(row[column]);
+            if (file) {
+                references.push({ table, id: row.id, file });
+            }
+        }
+        if (!data || data.length < PAGE_SIZE) {
+            return references;
+        }
+    }
+}
+/**
+ * The row that points at an uploaded file, or null. Older rows still hold the
+ * public URL the file had before uploads were moved out of the web root.
+ */
+export async function findUploadReference(type, filename) {
+    const reference = UPLOAD_REFERENCES[type];
+    if (!reference) {
+        return null;
+    }
+    const urls = [uploadFileUrl(type, filename)];
+    if (process.env.O2SWITCH_PUBLIC_URL) {
+        urls.push(`${process.env.O2SWITCH_PUBLIC_URL}/${type}/${filename}`);
+    }
+    const { data, error } = await getSupabaseAdminClient()
+        .from(reference.table)
+        .select('*')
+        .in(reference.column, urls)
+        .limit(1);
+    if (error) {
+        console.error(`Error reading ${reference.table}:`, error);
+        throw new Error('Failed to look up file');
+    }
+    return data?.[0] || null;
+}
+function ownerOf(name) {
+    const suffix = SIDECAR_SUFFIXES.find((candidate) => name.endsWith(candidate));
+    return suffix ? name.slice(0, -suffix.length) : name;
+}
+async function reconcile({ dryRun, graceHours }) {
+    const storage = FileStorage.getInstance();
+    const supabase = getSupabaseAdminClient();
+    await storage.connect();
+    const startedAt = new Date();
+    const cutoff = startedAt.getTime() - graceHours * 60 * 60 * 1000;
+    const report = {
+        startedAt: startedAt.toISOString(),
+        finishedAt: null,
+        dryRun,
+        graceHours,
+        types: {},
+        orphans: 0,
+        deleted: 0,
+        bytesFreed: 0,
+        missing: 0,
+        errors: [],
+    };
+    for (const [type, reference] of Object.entries(UPLOAD_REFERENCES)) {
+        const references = await readReferences(supabase, reference);
+        const referenced = new Set(references.map((entry) => entry.file));
+        // Stem packs are folders, referenced by their name; their manifest says
+        // when they last changed (folder times are not reliable on every driver)
+        const folders = await Promise.all((await storage.listUploadFolders(type)).map(async (folder) => {
+            const manifest = await storage.readUploadManifest(folder.name, type).catch(() => null);
+            return manifest
+                ? { ...folder, size: manifest.totalSize, modifyTime: Date.parse(manifest.updatedAt) }
+                : folder;
+        }));
+        const files = [...await storage.listUploadFiles(type), ...folders];
+        const present = new Set(files.map((file) => file.name));
+        const result = { files: files.length, references: references.length, orphans: [], missing: [] };
+        for (const file of files) {
+            if (referenced.has(ownerOf(file.name))) {
+                continue;
+            }
+            const orphan = {
+                name: file.name,
+                folder: file.type === 'directory',
+                size: file.size,
+                modifiedAt: new Date(file.modifyTime).toISOString(),
+                // Recent files may belong to a form that is still being filled in
+                inGracePeriod: file.modifyTime > cutoff,
+                deleted: false,
+            };
+            if (!dryRun && !orphan.inGracePeriod) {
+                try {
+                    if (orphan.folder) {
+                        await storage.deleteUploadFolder(file.name, type);
+                    }
+                    else {
+                        await storage.deleteUploadedFile(file.name, type);
+                    }
+                    orphan.deleted = true;
+                    report.deleted++;
+                    report.bytesFreed += file.size;
+                }
+                catch (error) {
+                    report.errors.push(`${type}/${file.name}: ${error.message}`);
+                }
+            }
+            result.orphans.push(orphan);
+        }
+        result.missing = references.filter((entry) => !present.has(entry.file));
+        report.orphans += result.orphans.length;
+        report.missing += result.missing.length;
+        report.types[type] = result;
+    }
+    report.finishedAt = new Date().toISOString();
+    return report;
+}
+/**
+ * Compare the upload folders with the tables that reference their files.
+ * Orphans (files nothing points at) older than the grace period are deleted
+ * unless `dryRun`; references to files that do not exist are reported.
+ * Only one run at a time: a second call gets the running one.
+ */
+export function reconcileUploads({ dryRun = process.env.UPLOAD_GC_DRY_RUN === 'true', graceHours = parseFloat(process.env.UPLOAD_GC_GRACE_HOURS || '48'), } = {}) {
+    if (!running) {
+        running = reconcile({ dryRun, graceHours })
+            .then((report) => {
+            lastReport = report;
+            console.log(`🧹 Upload reconciliation${dryRun ? ' (dry run)' : ''}: ${report.orphans} orphans, ${report.deleted} deleted, ${report.missing} missing files`);
+            return report;
+        }, (error) => {
+            lastReport = { startedAt: new Date().toISOString(), dryRun, graceHours, error: error.message };
+            throw error;
+        })
+            .finally(() => {
+            running = null;
+        });
+    }
+    return running;
+}
+export function getLastUploadReport() {
+    return { report: lastReport, running: !!running };
+}
@@ -0,0 +1,196 @@
+// Waveform overviews in the audiowaveform format (https://github.com/bbc/audiowaveform):
+// a min/max pair per pixel and channel. One resolution is stored (.dat, 16-bit);
+// coarser ones are derived from it when requested.
+
+export const BASE_SAMPLES_PER_PIXEL = 256;
+const DAT_VERSION = 2;
+const DAT_HEADER_SIZE = 24;
+const FLAG_8_BIT = 0x1;
+const MAX_ZOOM_LEVELS = 16;
+
+export class WaveformError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WaveformError';
+        this.status = status;
+    }
+}
+
+/**
+ * Collects min/max per pixel from samples in [-1, 1], fed one at a time in
+ * interleaved channel order (as AudioAnalyzer reads them).
+ */
+export class WaveformBuilder {
+    constructor({ channels, sampleRate, samplesPerPixel = BASE_SAMPLES_PER_PIXEL }) {
+        this.channels = channels;
+        this.sampleRate = sampleRate;
+        this.samplesPerPixel = samplesPerPixel;
+        this.data = new Int16Array(4096);
+        this.size = 0;
+        this.frames = 0;
+        this.min = new Int16Array(channels);
+        this.max = new Int16Array(channels);
+        this.reset();
+    }
+
+    reset() {
+        this.min.fill(32767);
+        this.max.fill(-32768);
+        this.frames = 0;
+    }
+
+    add(channel, value) {
+        const sample = Math.max(-32768, Math.min(32767, Math.round(value * 32767)));
+        if (sample < this.min[channel]) {
+            this.min[channel] = sample;
+        }
+        if (sample > this.max[channel]) {
+            this.max[channel] = sample;
+        }
+        if (channel === this.channels - 1 && ++this.frames === this.samplesPerPixel) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        if (this.size + this.channels * 2 > this.data.length) {
+            const data = new Int16Array(this.data.length * 2);
+            data.set(this.data);
+            this.data = data;
+        }
+        for (let channel = 0; channel < this.channels; channel++) {
+            this.data[this.size++] = this.min[channel];
+            this.data[this.size++] = this.max[channel];
+        }
+        this.reset();
+    }
+
+    build() {
+        if (this.frames > 0) {
+            this.flush();
+        }
+        return {
+            channels: this.channels,
+            sampleRate: this.sampleRate,
+            samplesPerPixel: this.samplesPerPixel,
+            length: this.size / (this.channels * 2),
+            data: this.data.slice(0, this.size),
+        };
+    }
+}
+
+// audiowaveform binary format, version 2
+export function encodeWaveform(waveform) {
+    const buffer = Buffer.alloc(DAT_HEADER_SIZE + waveform.data.length * 2);
+    buffer.writeInt32LE(DAT_VERSION, 0);
+    buffer.writeUInt32LE(0, 4); // flags: 16-bit values
+    buffer.writeInt32LE(waveform.sampleRate, 8);
+    buffer.writeInt32LE(waveform.samplesPerPixel, 12);
+    buffer.writeUInt32LE(waveform.length, 16);
+    buffer.writeInt32LE(waveform.channels, 20);
+    for (let i = 0; i < waveform.data.length; i++) {
+        buffer.writeInt16LE(waveform.data[i], DAT_HEADER_SIZE + i * 2);
+    }
+    return buffer;
+}
+
+export function decodeWaveform(buffer) {
+    if (buffer.length < DAT_HEADER_SIZE || buffer.readInt32LE(0) !== DAT_VERSION) {
+        throw new WaveformError('Unsupported waveform data', 500);
+    }
+    const eightBit = (buffer.readUInt32LE(4) & FLAG_8_BIT) !== 0;
+    const channels = buffer.readInt32LE(20);
+    const length = buffer.readUInt32LE(16);
+    const count = length * channels * 2;
+    if (buffer.length < DAT_HEADER_SIZE + count * (eightBit ? 1 : 2)) {
+        throw new WaveformError('Truncated waveform data', 500);
+    }
+    const data = new Int16Array(count);
+    for (let i = 0; i < count; i++) {
+        data[i] = eightBit ? buffer.readInt8(DAT_HEADER_SIZE + i) * 256 : buffer.readInt16LE(DAT_HEADER_SIZE + i * 2);
+    }
+    return {
+        channels,
+        sampleRate: buffer.readInt32LE(8),
+        samplesPerPixel: buffer.readInt32LE(12),
+        length,
+        data,
+    };
+}
+
+// Merge every `factor` pixels into one
+function mergePixels(waveform, factor) {
+    const { channels } = waveform;
+    const length = Math.ceil(waveform.length / factor);
+    const data = new Int16Array(length * channels * 2);
+    for (let pixel = 0; pixel < length; pixel++) {
+        const last = Math.min((pixel + 1) * factor, waveform.length);
+        for (let channel = 0; channel < channels; channel++) {
+            let min = 32767;
+            let max = -32768;
+            for (let source = pixel * factor; source < last; source++) {
+                const offset = (source * channels + channel) * 2;
+                min = Math.min(min, waveform.data[offset]);
+                max = Math.max(max, waveform.data[offset + 1]);
+            }
+            data[(pixel * channels + channel) * 2] = min;
+            data[(pixel * channels + channel) * 2 + 1] = max;
+        }
+    }
+    return { ...waveform, samplesPerPixel: waveform.samplesPerPixel * factor, length, data };
+}
+
+/**
+ * Pick a zoom level: `samplesPerPixel` must be the stored resolution times a
+ * power of two; `pixels` picks the finest such level that fits in that width.
+ */
+export function resampleWaveform(waveform, { samplesPerPixel, pixels } = {}) {
+    const levels = Array.from({ length: MAX_ZOOM_LEVELS }, (_, level) => waveform.samplesPerPixel * 2 ** level);
+    let target = waveform.samplesPerPixel;
+    if (samplesPerPixel !== undefined && samplesPerPixel !== null && samplesPerPixel !== '') {
+        target = Number(samplesPerPixel);
+        if (!levels.includes(target)) {
+            throw new WaveformError(`samplesPerPixel must be one of: ${levels.slice(0, 8).join(', ')}, ...`);
+        }
+    }
+    else if (pixels !== undefined && pixels !== null && pixels !== '') {
+        const width = Number(pixels);
+        if (!Number.isInteger(width) || width < 1) {
+            throw new WaveformError('pixels must be a positive integer');
+        }
+        const frames = waveform.length * waveform.samplesPerPixel;
+        target = levels.find((level) => Math.ceil(frames / level) <= width) || levels[levels.length - 1];
+    }
+    return target === waveform.samplesPerPixel ? waveform : mergePixels(waveform, target / waveform.samplesPerPixel);
+}
+
+// audiowaveform JSON output
+export function waveformToJson(waveform) {
+    return {
+        version: DAT_VERSION,
+        channels: waveform.channels,
+        sample_rate: waveform.sampleRate,
+        samples_per_pixel: waveform.samplesPerPixel,
+        bits: 16,
+        length: waveform.length,
+        data: Array.from(waveform.data),
+    };
+}
+
+/**
+ * Send a waveform as audiowaveform JSON (default) or binary (`format: 'dat'`)
+ */
+export function sendWaveform(res, waveform, { format = 'json', samplesPerPixel, pixels } = {}) {
+    if (format !== 'json' && format !== 'dat') {
+        throw new WaveformError('Format must be json or dat');
+    }
+    const resampled = resampleWaveform(waveform, { samplesPerPixel, pixels });
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    if (format === 'dat') {
+        const data = encodeWaveform(resampled);
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Content-Length', data.length);
+        return res.send(data);
+    }
+    res.json(waveformToJson(resampled));
+}
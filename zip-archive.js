@@ -0,0 +1,159 @@
+import path from 'path';
+import { ZipArchive } from 'archiver';
+import { minimatch } from 'minimatch';
+import { PathError } from './path-jail.js';
+
+// Past these limits the archive needs ZIP64 headers from the first entry on
+const ZIP64_SIZE_LIMIT = 0xFFFFFFFF;
+const ZIP64_ENTRY_LIMIT = 0xFFFF;
+
+// Accepts a single glob, an array of globs, or nothing
+function toPatterns(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const patterns = Array.isArray(value) ? value : [value];
+    if (!patterns.every((pattern) => typeof pattern === 'string')) {
+        throw new PathError('Include/exclude patterns must be strings');
+    }
+    return patterns.filter(Boolean);
+}
+
+/**
+ * Build a filter for paths relative to the archived folder, e.g. `stems/kick.wav`.
+ * A file is kept when it matches at least one include (if any) and no exclude.
+ */
+export function createArchiveFilter({ include, exclude } = {}) {
+    const includes = toPatterns(include);
+    const excludes = toPatterns(exclude);
+    const options = { dot: true, nocase: true, matchBase: false };
+    return (relativePath) => (includes.length === 0 || includes.some((pattern) => minimatch(relativePath, pattern, options)))
+        && !excludes.some((pattern) => minimatch(relativePath, pattern, options));
+}
+
+/**
+ * Walk an admin-storage folder and return the files that go into the archive:
+ * [{ filename, name, size, lastmod }] where `name` is the path inside the ZIP.
+ * Sub-folders that resolve outside the storage root are skipped.
+ */
+export async function listArchiveEntries(storage, rootPath, filters = {}) {
+    const keep = createArchiveFilter(filters);
+    const entries = [];
+    const walk = async (dirPath, prefix) => {
+        let list;
+        try {
+            list = await storage.listAdminFiles(dirPath);
+        }
+        catch (error) {
+            if (error instanceof PathError && dirPath !== rootPath) {
+                console.warn('⚠️ Skipping folder in archive:', dirPath, error.message);
+                return;
+            }
+            throw error;
+        }
+        for (const item of list) {
+            const name = prefix ? `${prefix}/${item.basename}` : item.basename;
+            if (item.type === 'directory') {
+                await walk(item.filename, name);
+            }
+            else if (keep(name)) {
+                entries.push({ filename: item.filename, name, size: item.size, lastmod: item.lastmod });
+            }
+        }
+    };
+    await walk(rootPath, '');
+    return entries;
+}
+
+/**
+ * Stream a ZIP of `entries` to the response. Files are stored (audio and
+ * images do not compress) and read one at a time, so memory use stays flat
+ * and only one storage session is busy whatever the folder size.
+ */
+export async function sendZipArchive(res, { storage, entries, archiveName }) {
+    const totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+    const archive = new ZipArchive({
+        store: true,
+        forceZip64: totalSize > ZIP64_SIZE_LIMIT || entries.length > ZIP64_ENTRY_LIMIT,
+    });
+    let failure = null;
+    let current = null;
+    // Cut the connection first: an aborted archive would otherwise end the
+    // response cleanly and the client would keep a truncated ZIP
+    const fail = (error) => {
+        if (!failure) {
+            failure = error;
+            res.destroy(error);
+            archive.abort();
+            // Release the storage read and unblock the loop below
+            current?.source.destroy();
+            current?.reject(error);
+        }
+    };
+    archive.on('error', fail);
+    archive.on('warning', (error) => console.warn('⚠️ Archive warning:', error.message));
+    // Client went away: stop reading from storage
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            fail(new Error('Client disconnected'));
+        }
+    });
+
+    const asciiName = archiveName.replace(/[^\x20-\x7e]/g, '_').replace(/"/g, '');
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(archiveName)}`);
+    res.setHeader('Cache-Control', 'no-store');
+    archive.pipe(res);
+
+    for (const entry of entries) {
+        if (failure) {
+            break;
+        }
+        try {
+            // Per-file stat checks symlinks and picks up the current mtime
+            const stat = await storage.statAdminFile(entry.filename);
+            await new Promise((resolve, reject) => {
+                const source = storage.createAdminReadStream(entry.filename);
+                const onEntry = () => {
+                    archive.off('error', onError);
+                    resolve();
+                };
+                const onError = (error) => {
+                    archive.off('entry', onEntry);
+                    reject(error);
+                };
+                current = { source, reject: onError };
+                archive.once('entry', onEntry);
+                archive.once('error', onError);
+                archive.append(source, {
+                    name: entry.name,
+                    date: new Date(stat.modifyTime),
+                });
+            });
+            current = null;
+        }
+        catch (error) {
+            current = null;
+            if (failure) {
+                break;
+            }
+            if (error instanceof PathError || error?.code === 'ENOENT') {
+                // Deleted or unsafe since the listing: leave it out rather than break the archive
+                console.warn('⚠️ Skipping file in archive:', entry.filename, error.message);
+                continue;
+            }
+            fail(error);
+        }
+    }
+
+    if (failure) {
+        console.error('❌ Archive aborted:', failure.message);
+        return;
+    }
+    await archive.finalize();
+    console.log('✅ Archive sent:', archiveName, `(${entries.length} files, ${archive.pointer()} bytes)`);
+}
+
+export function archiveNameFor(rootPath) {
+    return `${path.posix.basename(rootPath) || 'archive'}.zip`;
+}